@@ -0,0 +1,132 @@
+// Client for the linea-20 HTTP API 1.0.0, generated from its
+// OpenAPI document by `npm run generate:client`. Do not edit by hand.
+
+export class ApiError extends Error {
+  constructor(status, body) {
+    super((body && body.error) || "HTTP " + status);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// `apiKey` is sent as x-api-key; `fetch` defaults to the global one (Node 18+, browsers).
+// Failed requests throw an ApiError with the status and the parsed error body.
+export function createClient({ baseUrl = "http://localhost:3000", apiKey, fetch = globalThis.fetch } = {}) {
+  async function request(method, path, { query, body, stream = false } = {}) {
+    const url = new URL(baseUrl.replace(/\/$/, "") + path);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value != null) url.searchParams.set(key, String(value));
+    }
+
+    const headers = {};
+    if (apiKey) headers["x-api-key"] = apiKey;
+    if (body !== undefined) headers["content-type"] = "application/json";
+
+    const res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    // Event streams are handed back as the Response, to be read as they arrive
+    if (stream && res.ok) return res;
+
+    const text = await res.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // Not JSON; keep the text
+    }
+    if (!res.ok) throw new ApiError(res.status, data);
+    return data;
+  }
+
+  return {
+    // POST /batch - Start a new batch transaction [batch:write]
+    startBatch: (body) => request("POST", "/batch", { body }),
+
+    // GET /batch - List all jobs [read]
+    listJobs: () => request("GET", "/batch"),
+
+    // GET /batch/{jobId} - Get job status [read]
+    getJob: (jobId) => request("GET", `/batch/${encodeURIComponent(jobId)}`),
+
+    // DELETE /batch/{jobId} - Delete a job from the job store (cancels it if still running) [batch:write]
+    deleteJob: (jobId) => request("DELETE", `/batch/${encodeURIComponent(jobId)}`),
+
+    // GET /batch/{jobId}/webhooks - Webhook deliveries of a job [read]
+    getJobWebhooks: (jobId) => request("GET", `/batch/${encodeURIComponent(jobId)}/webhooks`),
+
+    // GET /batch/{jobId}/events - Stream job progress as Server-Sent Events [read]
+    streamJobEvents: (jobId) => request("GET", `/batch/${encodeURIComponent(jobId)}/events`, { stream: true }),
+
+    // POST /batch/{jobId}/cancel - Stop a job before its next transaction [batch:write]
+    cancelJob: (jobId) => request("POST", `/batch/${encodeURIComponent(jobId)}/cancel`),
+
+    // POST /batch/{jobId}/pause - Hold a job before its next transaction [batch:write]
+    pauseJob: (jobId) => request("POST", `/batch/${encodeURIComponent(jobId)}/pause`),
+
+    // POST /batch/{jobId}/resume - Continue a paused job, or re-run a stopped token batch from its tx log [batch:write]
+    resumeJob: (jobId, body) => request("POST", `/batch/${encodeURIComponent(jobId)}/resume`, { body }),
+
+    // POST /interact/sign - Sign a message [sign]
+    signMessage: (body) => request("POST", "/interact/sign", { body }),
+
+    // POST /interact/sign-typed - Sign typed data (EIP-712) [sign]
+    signTypedData: (body) => request("POST", "/interact/sign-typed", { body }),
+
+    // POST /interact/call - Call contract (read-only) [read]
+    callContract: (body) => request("POST", "/interact/call", { body }),
+
+    // POST /interact/send - Send transaction to contract [send]
+    sendTransaction: (body) => request("POST", "/interact/send", { body }),
+
+    // POST /interact/send-raw - Send raw transaction [send]
+    sendRawTransaction: (body) => request("POST", "/interact/send-raw", { body }),
+
+    // POST /interact/batch-send-raw - Send multiple raw transactions (async job) [batch:write]
+    batchSendRawTransactions: (body) => request("POST", "/interact/batch-send-raw", { body }),
+
+    // GET /interact/wallet - Get wallet info [read]
+    getWalletInfo: (query) => request("GET", "/interact/wallet", { query }),
+
+    // POST /interact/generate-wallets - Generate new wallets [wallets:generate]
+    generateWallets: (body) => request("POST", "/interact/generate-wallets", { body }),
+
+    // POST /interact/send-eth - Send ETH to address (async job) [batch:write]
+    sendEth: (body) => request("POST", "/interact/send-eth", { body }),
+
+    // GET /wallets - List vault wallets (IDs, addresses and labels; never keys) [read]
+    listWallets: () => request("GET", "/wallets"),
+
+    // POST /wallets - Import a private key (or a mnemonic account) into the vault [wallets:manage]
+    addWallet: (body) => request("POST", "/wallets", { body }),
+
+    // PATCH /wallets/{walletId} - Change a wallet's label [wallets:manage]
+    labelWallet: (walletId, body) => request("PATCH", `/wallets/${encodeURIComponent(walletId)}`, { body }),
+
+    // DELETE /wallets/{walletId} - Remove a wallet (and its key) from the vault [wallets:manage]
+    removeWallet: (walletId) => request("DELETE", `/wallets/${encodeURIComponent(walletId)}`),
+
+    // POST /tx/{hash}/speed-up - Re-send a pending transaction with higher fees [send]
+    speedUpTransaction: (hash, body) => request("POST", `/tx/${encodeURIComponent(hash)}/speed-up`, { body }),
+
+    // POST /tx/{hash}/cancel - Replace a pending transaction with a zero-value self-transfer [send]
+    cancelTransaction: (hash, body) => request("POST", `/tx/${encodeURIComponent(hash)}/cancel`, { body }),
+
+    // GET /policy - Spending policy rules and what each wallet sent in the daily window [read]
+    getPolicy: () => request("GET", "/policy"),
+
+    // GET /policy/decisions - Recent policy decisions, newest first [read]
+    listPolicyDecisions: (query) => request("GET", "/policy/decisions", { query }),
+
+    // GET /networks - Networks selectable with the `network` field
+    listNetworks: () => request("GET", "/networks"),
+
+    // GET /rpc/health - Probe every endpoint of an RPC list [read]
+    checkRpcHealth: (query) => request("GET", "/rpc/health", { query }),
+
+    // GET /health - Health check
+    getHealth: () => request("GET", "/health"),
+
+    // GET /metrics - Prometheus metrics [read]
+    getMetrics: () => request("GET", "/metrics")
+  };
+}
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { generateClient } from "../../src/lib/openapi.js";
+import { parseClientArgs } from "../../src/lib/args.js";
+
+(async function main() {
+  try {
+    const args = parseClientArgs();
+
+    let spec;
+    if (args.spec) {
+      spec = JSON.parse(fs.readFileSync(args.spec, "utf8"));
+    } else {
+      const res = await fetch(`${args.url.replace(/\/$/, "")}/openapi.json`);
+      if (!res.ok) {
+        throw new Error(`GET ${args.url}/openapi.json answered ${res.status}`);
+      }
+      spec = await res.json();
+    }
+
+    fs.mkdirSync(path.dirname(args.out), { recursive: true });
+    fs.writeFileSync(args.out, generateClient(spec));
+    console.log(`Client for ${Object.keys(spec.paths).length} paths written to ${args.out}`);
+  } catch (err) {
+    console.error("Fatal error:", err.message);
+    process.exit(1);
+  }
+})();
@@ -1,22 +1,35 @@
 #!/usr/bin/env node
+import fs from "fs";
 import { config } from "../../src/config/config.js";
 import { 
   signMessage, 
   signTypedData, 
   sendRawTransaction,
-  getWalletInfo 
+  getWalletInfo,
+  speedUpTransaction,
+  cancelTransaction
 } from "../../src/lib/interact.js";
-import { parseInteractArgs } from "../../src/lib/args.js";
+import { parseInteractArgs, walletSource } from "../../src/lib/args.js";
+import { loadNetworks } from "../../src/lib/networks.js";
+import { loadPolicy } from "../../src/lib/policy.js";
+import { resolveWallet } from "../../src/lib/wallet.js";
+import { secretPrompt } from "../../src/lib/common.js";
+import { configureLogger } from "../../src/lib/logger.js";
 
 (async function main() {
   try {
-    const privateKey = config.privateKey;
-    if (!privateKey) {
-      console.error("PRIVATE_KEY not set in .env");
-      process.exit(1);
-    }
-
     const args = parseInteractArgs();
+    // Log lines go to stderr, so stdout keeps only the results
+    configureLogger({
+      level: config.log.level || "warn",
+      format: config.log.format || "pretty",
+      stream: process.stderr,
+      secrets: [config.privateKey, config.wallet.password, config.wallet.mnemonic]
+    });
+    loadNetworks(config.networksFile);
+    loadPolicy(config.policy);
+
+    const { privateKey } = await resolveWallet(walletSource(args, config), { prompt: secretPrompt });
 
     switch (args.action) {
       case "sign": {
@@ -38,52 +51,92 @@ import { parseInteractArgs } from "../../src/lib/args.js";
       }
 
       case "send-raw": {
-        if (!args.rpc || !args.to || !args.data) {
-          console.error("Missing required args: --rpc, --to, --data");
+        if ((!args.rpc && !args.network) || !args.to || !args.data) {
+          console.error("Missing required args: --rpc or --network, --to, --data");
           process.exit(1);
         }
 
         console.log("\nSending transaction...");
         console.log("To:", args.to);
         console.log("Data:", args.data);
-        console.log("RPC:", args.rpc);
+        console.log("RPC:", args.rpc || args.network);
 
         const result = await sendRawTransaction({
           privateKey,
           rpc: args.rpc,
+          network: args.network,
           to: args.to,
           data: args.data,
           value: args.value || "0",
           gasLimit: args.gasLimit,
-          chainId: args.chainId ? parseInt(args.chainId) : undefined
+          gasPrice: args.gasPrice,
+          fee: args.fee,
+          broadcast: args.broadcast,
+          chainId: args.chainId ? parseInt(args.chainId) : undefined,
+          abi: args.abi ? JSON.parse(fs.readFileSync(args.abi, "utf8")) : undefined,
+          simulate: args.simulate,
+          requireSimulation: config.requireSimulation
         });
 
         console.log("\nTransaction Sent");
         console.log("Hash:", result.hash);
         console.log("From:", result.from);
+        console.log("Sent via:", result.rpc);
         console.log("Block:", result.blockNumber);
         console.log("Status:", result.status === 1 ? "Success" : "Failed");
         console.log("Gas Used:", result.gasUsed);
+        console.log("Fee Paid:", result.fee, "ETH");
+        if (result.explorerUrl) console.log("Explorer:", result.explorerUrl);
         break;
       }
 
       case "wallet": {
-        if (!args.rpc) {
-          console.error("Missing --rpc");
+        if (!args.rpc && !args.network) {
+          console.error("Missing --rpc or --network");
           process.exit(1);
         }
 
         const result = await getWalletInfo({
           privateKey,
-          rpc: args.rpc
+          rpc: args.rpc,
+          network: args.network
         });
 
         console.log("\nWallet Info");
         console.log("Address:", result.address);
-        console.log("Balance:", result.balance, "ETH");
+        console.log("Balance:", result.balance, result.symbol);
         console.log("Nonce:", result.nonce);
         console.log("Chain ID:", result.chainId);
         console.log("Network:", result.network);
+        if (result.explorer) console.log("Explorer:", result.explorer);
+        break;
+      }
+
+      case "speed-up":
+      case "cancel": {
+        if ((!args.rpc && !args.network) || !args.hash) {
+          console.error("Missing required args: --rpc or --network, --hash");
+          process.exit(1);
+        }
+
+        const replace = args.action === "cancel" ? cancelTransaction : speedUpTransaction;
+        const result = await replace({
+          privateKey,
+          rpc: args.rpc,
+          network: args.network,
+          hash: args.hash,
+          fee: args.fee,
+          broadcast: args.broadcast
+        });
+
+        console.log(args.action === "cancel" ? "\nCancellation Sent" : "\nReplacement Sent");
+        console.log("Original:", result.originalHash);
+        console.log("Hash:", result.hash);
+        console.log("Nonce:", result.nonce);
+        console.log("Sent via:", result.rpc);
+        if (result.explorerUrl) console.log("Explorer:", result.explorerUrl);
+        if (result.maxFeePerGas) console.log("Max Fee Per Gas:", result.maxFeePerGas);
+        if (result.gasPrice) console.log("Gas Price:", result.gasPrice);
         break;
       }
 
@@ -95,6 +148,7 @@ import { parseInteractArgs } from "../../src/lib/args.js";
 
   } catch (err) {
     console.error("\nError:", err.message);
+    if (err.revert?.error) console.error("Revert:", JSON.stringify(err.revert.error));
     process.exit(1);
   }
 })();
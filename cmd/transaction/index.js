@@ -1,39 +1,85 @@
 #!/usr/bin/env node
 import { ethers } from "ethers";
-import { parseTransactionArgs } from "../../src/lib/args.js";
-import { confirmPrompt } from "../../src/lib/common.js";
+import { parseTransactionArgs, walletSource } from "../../src/lib/args.js";
+import { confirmPrompt, secretPrompt } from "../../src/lib/common.js";
+import { resolveWallet } from "../../src/lib/wallet.js";
 import { executeBatchTransactions } from "../../src/lib/transaction.js";
+import { readTxLog } from "../../src/lib/txlog.js";
+import { connectNetwork, loadNetworks } from "../../src/lib/networks.js";
+import { loadPolicy } from "../../src/lib/policy.js";
+import { readRecipientsFile, validateRecipients } from "../../src/lib/recipients.js";
+import { configureLogger } from "../../src/lib/logger.js";
 import { config } from "../../src/config/config.js";
 
 (async function main() {
   try {
     const args = parseTransactionArgs();
-
-    if (args["dry-run"]) {
-      console.log("Dry-run mode is not fully supported in this version.");
-      process.exit(0);
-    }
+    // Log lines go to stderr, so stdout keeps only the results
+    configureLogger({
+      level: config.log.level || (args.verbose ? "debug" : "warn"),
+      format: config.log.format || "pretty",
+      stream: process.stderr,
+      secrets: [config.privateKey, config.wallet.password, config.wallet.mnemonic]
+    });
+    loadNetworks(config.networksFile);
+    loadPolicy(config.policy);
 
     // Get basic info for confirmation
-    const privateKey = config.privateKey;
-    if (!privateKey) {
-      console.error("PRIVATE_KEY not set in environment (.env). Aborting.");
-      process.exit(1);
-    }
+    const { privateKey } = await resolveWallet(walletSource(args, config), { prompt: secretPrompt });
 
-    const provider = new ethers.JsonRpcProvider(args.rpc);
+    const { provider, network, chainId } = await connectNetwork({ network: args.network, rpc: args.rpc, broadcast: args.broadcast });
     const wallet = new ethers.Wallet(privateKey, provider);
     const sender = await wallet.getAddress();
     
-    const summary = `
+    const recipients = args.recipients && !args.resume ? readRecipientsFile(args.recipients) : undefined;
+
+    let summary;
+    if (args.resume) {
+      const log = readTxLog(args.resume);
+      const confirmed = log.transactions.filter((tx) => tx.status === 1).length;
+      summary = `
+SUMMARY (resume)
+  Network: ${network ? network.name : "unknown"} (chain ${chainId})
+  Sender: ${sender}
+  Tx log: ${args.resume}
+  Token: ${log.token}
+  To: ${log.to || `${log.planned.length} recipients`}
+  Confirmed: ${confirmed}/${log.planned.length} (will be checked on chain)
+  Mode: ${log.disperse ? `aggregated through ${log.disperse}` : "one tx per transfer"}
+`;
+    } else if (recipients) {
+      const { recipients: valid, invalid, duplicates } = validateRecipients(recipients);
+      const total = valid.reduce((sum, { amount }) => sum + Number(amount), 0);
+      summary = `
+SUMMARY (recipient list)
+  Network: ${network ? network.name : "unknown"} (chain ${chainId})
+  Sender: ${sender}
+  Token: ${args.token}
+  Recipients: ${valid.length} from ${args.recipients}
+  Total amount: ~${total}
+  Mode: ${args.aggregate ? "aggregated through a disperse contract" : "one tx per recipient"}
+  Invalid rows: ${invalid.length}${invalid.map(({ row, address, amount, error }) => `\n    row ${row}: ${address},${amount} (${error})`).join("")}
+  Duplicates: ${duplicates.length}${duplicates.map(({ address, rows }) => `\n    ${address} on rows ${rows.join(", ")}`).join("")}
+`;
+      if (!args["dry-run"] && (invalid.length > 0 || (duplicates.length > 0 && !args["allow-duplicates"]))) {
+        console.log(summary);
+        console.error("Fix the recipient list (or pass --allow-duplicates) before sending.");
+        process.exit(1);
+      }
+    } else {
+      summary = `
 SUMMARY
+  Network: ${network ? network.name : "unknown"} (chain ${chainId})
   Sender: ${sender}
   Token: ${args.token}
   To: ${args.to}
   Count: ${args.count}
   Amount range: ${args.min} - ${args.max}
+  Mode: ${args.aggregate ? "aggregated through a disperse contract" : "one tx per transfer"}
 `;
-    const ok = await confirmPrompt(summary);
+    }
+    // A dry run broadcasts nothing, so there is nothing to confirm
+    const ok = args["dry-run"] || (await confirmPrompt(summary));
     if (!ok) {
       console.log("Aborted by user.");
       process.exit(0);
@@ -44,18 +90,58 @@ SUMMARY
       {
         privateKey,
         rpc: args.rpc,
+        network: args.network,
         token: args.token,
         to: args.to,
+        recipients,
+        allowDuplicates: args["allow-duplicates"],
         count: args.count,
         min: args.min,
         max: args.max,
         delay: args.delay,
         retries: args.retries,
+        fee: args.fee,
+        gasPrice: args["gas-price"],
+        receiptTimeout: args["receipt-timeout"],
+        maxReplacements: args["max-replacements"],
+        broadcast: args.broadcast,
+        inFlight: args["in-flight"],
+        aggregate: args.aggregate,
+        disperse: args.disperse,
+        chunkSize: args["chunk-size"],
+        maxChunkGas: args["max-chunk-gas"],
         logDir: args.log || "logs",
-        verbose: args.verbose
+        resume: args.resume,
+        dryRun: args["dry-run"]
       }
     );
 
+    if (result.dryRun) {
+      console.log(`\nDRY RUN (nothing was broadcast)
+  Sender: ${result.wallet}
+  Token: ${result.token}
+  To: ${result.to || `${result.recipients.count} recipients`}
+  Transactions: ${result.transactions.length}
+  Total amount: ${result.totalAmount} (balance ${result.balances.token})
+  Estimated gas: ${result.estimatedGas}
+  Estimated fee: ${result.estimatedFee} ETH at most (balance ${result.balances.native})
+`);
+      for (const tx of result.transactions) {
+        if (tx.type === "approve") {
+          console.log(`  approve  spender=${tx.spender}  units=${tx.units}  gas=${tx.gasEstimate ?? "n/a"}  simulation=${tx.simulation}`);
+        } else if (tx.type === "disperse") {
+          console.log(`  #${tx.indexes[0]}-#${tx.indexes.at(-1)}  recipients=${tx.recipients}  amount=${tx.amount}  gas=${tx.gasEstimate ?? "n/a"}  simulation=${tx.simulation}`);
+        } else {
+          console.log(`  #${tx.index}  to=${tx.to}  amount=${tx.amount}  gas=${tx.gasEstimate ?? "n/a"}  simulation=${tx.simulation}`);
+        }
+      }
+      if (!result.success) {
+        console.log(`\nWarnings:\n${result.warnings.map((warning) => `  - ${warning}`).join("\n")}`);
+        process.exit(1);
+      }
+      return;
+    }
+
     console.log(`All done in ${result.duration}s. Tx log saved to ${result.logPath}`);
   } catch (err) {
     console.error("Fatal error:", err);
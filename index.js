@@ -1,8 +1,28 @@
 #!/usr/bin/env node
+import { randomUUID } from "crypto";
 import express from "express";
 import cors from "cors";
+import { ethers } from "ethers";
 import { executeBatchTransactions } from "./src/lib/transaction.js";
 import { config } from "./src/config/config.js";
+import { createJobStore, sanitizeConfig, IN_FLIGHT_STATUSES } from "./src/lib/store.js";
+import { createJobControl } from "./src/lib/control.js";
+import { publishJobEvent, subscribeJobEvents, TERMINAL_EVENTS } from "./src/lib/events.js";
+import { loadNetworks, listNetworks, getNetwork, rpcProvider } from "./src/lib/networks.js";
+import { validateRecipients, recipientProblems, recipientReport } from "./src/lib/recipients.js";
+import { resolveWallet, generateWallets } from "./src/lib/wallet.js";
+import { createVault } from "./src/lib/vault.js";
+import { loadApiKeys, createAuth, hasScope, checkNetwork, checkWallet, canAccessJob } from "./src/lib/auth.js";
+import { loadPolicy, policyInfo, listDecisions } from "./src/lib/policy.js";
+import { createRateLimiter } from "./src/lib/ratelimit.js";
+import { createJobQueue } from "./src/lib/queue.js";
+import { recordJob, setJobCounts, renderMetrics } from "./src/lib/metrics.js";
+import { logger, configureLogger } from "./src/lib/logger.js";
+import { createWebhookSender, checkWebhookUrl } from "./src/lib/webhooks.js";
+import { RequestError } from "./src/lib/errors.js";
+import { validate } from "./src/lib/validate.js";
+import { buildOpenApi, docsPage, generateClient } from "./src/lib/openapi.js";
+import * as schemas from "./src/lib/schemas.js";
 import { 
   signMessage, 
   signTypedData, 
@@ -11,135 +31,459 @@ import {
   sendRawTransaction,
   batchSendRawTransactions,
   sendEth,
-  getWalletInfo 
+  getWalletInfo,
+  speedUpTransaction,
+  cancelTransaction
 } from "./src/lib/interact.js";
-import { ethers } from "ethers";
 
 const app = express();
+if (config.trustProxy) {
+  app.set("trust proxy", /^\d+$/.test(config.trustProxy) ? Number(config.trustProxy) : config.trustProxy === "true" || config.trustProxy);
+}
 app.use(cors());
 app.use(express.json());
 
-const jobs = new Map();
+const apiKeys = loadApiKeys(config);
+// Secrets the server holds are scrubbed from every log line
+configureLogger({
+  ...config.log,
+  secrets: [config.privateKey, config.wallet.password, config.wallet.mnemonic, config.vault.secret, config.webhooks.secret, ...apiKeys.map(({ key }) => key)]
+});
+
+// Every request gets an ID (the caller's X-Request-Id when it looks sane), returned in the
+// response and carried by every log line written for it, including those of its job
+app.use((req, res, next) => {
+  const given = req.headers["x-request-id"];
+  const requestId = /^[\w.:-]{1,64}$/.test(given || "") ? given : randomUUID();
+  res.set("X-Request-Id", requestId);
+  req.log = logger.child({ requestId });
+
+  const start = performance.now();
+  res.on("finish", () => {
+    // Scrapes and probes would drown out everything else
+    const level = res.statusCode >= 500 ? "error" : ["/health", "/metrics"].includes(req.path) ? "debug" : "info";
+    req.log[level]("Request", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(performance.now() - start),
+      keyName: req.apiKey?.name
+    });
+  });
+  next();
+});
+
+loadNetworks(config.networksFile);
+loadPolicy(config.policy);
 
-const privateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  const validApiKey = config.privateApiKey;
+const jobs = createJobStore(config.jobStore);
+const controls = new Map(); // jobId -> pause/resume/cancel control of a live job
+const jobQueue = createJobQueue(config.jobs);
+const vault = config.vault.secret ? createVault(config.vault) : null;
 
-  if (!validApiKey) {
-    return res.status(500).json({ error: "PRIVATE_API_KEY not configured on server" });
-  }
-  
-  if (!apiKey || apiKey !== validApiKey) {
-    return res.status(401).json({ error: "Unauthorized: Invalid or missing API key" });
+const requireVault = () => {
+  if (!vault) {
+    throw new RequestError("VAULT_SECRET not configured on server", 500);
   }
+  return vault;
+};
 
-  next();
+// Job event webhooks; deliveries are signed, so there are none without a secret
+const webhooks = config.webhooks.secret ? createWebhookSender(config.webhooks) : null;
+if (config.webhooks.url && !webhooks) {
+  throw new Error("WEBHOOK_URL is set but WEBHOOK_SECRET is not; deliveries could not be signed");
 }
 
-const apiKeyAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  const validApiKey = config.apiKey;
+// A caller's webhookUrl must not lead to private or local addresses (see WEBHOOK_ALLOWED_HOSTS)
+const requireWebhookUrl = async (url) => {
+  if (!webhooks) {
+    throw new RequestError("WEBHOOK_SECRET not configured on server", 500);
+  }
+  await checkWebhookUrl(url, config.webhooks.allowedHosts);
+};
+
+// Key of the server's own wallet (PRIVATE_KEY, KEYSTORE_FILE or MNEMONIC); `accountIndex` picks an HD account
+const serverPrivateKey = async (accountIndex) => {
+  const { privateKey } = await resolveWallet({ ...config.wallet, privateKey: config.privateKey, accountIndex: accountIndex ?? config.wallet.accountIndex });
+  return privateKey;
+};
+
+// Key for a request: an explicit privateKey, a vault wallet by walletId, or the server
+// wallet, which needs the wallets:server scope. Keys limited to wallets may use only those.
+const requestPrivateKey = async (req, { privateKey, walletId, accountIndex } = req.body || {}) => {
+  let key = privateKey;
+  if (!key && walletId) {
+    key = requireVault().privateKey(walletId);
+  }
+  if (!key) {
+    if (!hasScope(req.apiKey, "wallets:server")) {
+      throw new RequestError("Missing required field: privateKey or walletId (or use an API key with the wallets:server scope to sign with the server wallet)");
+    }
+    key = await serverPrivateKey(accountIndex);
+  }
+  checkWallet(req.apiKey, { walletId: privateKey ? null : walletId, privateKey: key });
+  return key;
+};
 
-  if (!validApiKey) {
-    return res.status(500).json({ error: "API_KEY not configured on server" });
+// Address of a job's wallet, which the job queue limits concurrent jobs by
+const walletAddress = (privateKey) => {
+  try {
+    return ethers.computeAddress(privateKey);
+  } catch (err) {
+    throw new RequestError("Invalid private key");
   }
+};
+
+// Validates a request's `network` and checks that its API key may use it
+const requestNetwork = (req, network) => {
+  checkNetwork(req.apiKey, network);
+  return network ? getNetwork(network) : null;
+};
 
-  if (!apiKey || apiKey !== validApiKey) {
-    return res.status(401).json({ error: "Unauthorized: Invalid or missing API key" });
+// Aggregated sends go through the request's disperse contract or the network's, so a
+// network without one is refused up front instead of failing the job once it runs
+const requireDisperse = (selected, disperse) => {
+  if (!disperse && selected && !selected.disperse) {
+    throw new RequestError(`Network ${selected.key} has no disperse contract for aggregate; pass disperse with the address of one deployed there`);
   }
+};
+
+const { identify, requireScope } = createAuth(apiKeys);
+
+const rateLimiters = {
+  ip: createRateLimiter({ windowMs: config.rateLimit.window * 1000, max: config.rateLimit.ip }),
+  key: createRateLimiter({ windowMs: config.rateLimit.window * 1000, max: config.rateLimit.key })
+};
 
+// Counts every request against its client IP and, with a valid key, against the key
+app.use((req, res, next) => {
+  const apiKey = identify(req.headers["x-api-key"]);
+  const hits = [
+    ["IP", rateLimiters.ip.hit(req.ip)],
+    ["API key", apiKey ? rateLimiters.key.hit(apiKey.name, apiKey.rateLimit ?? config.rateLimit.key) : null]
+  ].filter(([, hit]) => hit);
+  if (hits.length === 0) return next();
+
+  const seconds = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  const [, tightest] = hits.reduce((a, b) => (b[1].remaining < a[1].remaining ? b : a));
+  res.set({
+    "RateLimit-Limit": tightest.limit,
+    "RateLimit-Remaining": tightest.remaining,
+    "RateLimit-Reset": seconds(tightest.resetAt)
+  });
+
+  const exceeded = hits.find(([, hit]) => !hit.allowed);
+  if (exceeded) {
+    const [by, { limit, resetAt }] = exceeded;
+    res.set("Retry-After", seconds(resetAt));
+    return res.status(429).json({
+      error: `Rate limit exceeded: ${limit} requests per ${config.rateLimit.window}s per ${by}`,
+      retryAfter: seconds(resetAt)
+    });
+  }
   next();
+});
+
+// Every endpoint is registered through `route`, so /openapi.json documents it with the
+// same scope and request schemas that guard it
+const routes = [];
+const route = (method, path, { scope, body, query, params, ...doc }, ...handlers) => {
+  routes.push({ method, path, scope, body, query, params, ...doc });
+  const guards = [scope && requireScope(scope), (body || query || params) && validate({ body, query, params })].filter(Boolean);
+  app[method](path, ...guards, ...handlers);
+};
+
+// Applies changes to a job, persists it and announces status transitions
+function updateJob(job, changes = {}) {
+  const previousStatus = job.status;
+  Object.assign(job, changes);
+  jobs.save(job);
+
+  if (job.status !== previousStatus) {
+    publishJobEvent(job.id, "status", { status: job.status, completed: job.completed });
+    // Run time of jobs that started, once they stop for good
+    if (["completed", "failed", "cancelled"].includes(job.status) && job.startTime) {
+      recordJob(job.type || "batch", job.status, ((job.endTime || Date.now()) - job.startTime) / 1000);
+    }
+  }
+}
+
+// Retry callback shared by every job type
+const onJobRetry = (job) => ({ index, attempt, error, backoff }) => {
+  publishJobEvent(job.id, "retry", { index, attempt, error, backoff });
+};
+
+// `failure` events: a tx given up after its last retry, for job types that carry on without it
+const onJobFailure = (job) => ({ transaction }) => {
+  publishJobEvent(job.id, "failure", { transaction });
 };
 
+// Forwards a job's events to the server-wide WEBHOOK_URL and the job's own webhookUrl
+// until the job ends, recording every delivery in job.webhookDeliveries
+function notifyWebhooks(job, log) {
+  const urls = [...new Set([config.webhooks.url, job.config?.webhookUrl].filter(Boolean))];
+  if (!webhooks || urls.length === 0) return;
+
+  const notify = (type, data) => {
+    const event = { id: `evt_${randomUUID()}`, type, jobId: job.id, jobType: job.type || "batch", timestamp: Date.now(), data };
+    job.webhookDeliveries = job.webhookDeliveries || [];
+    for (const url of urls) {
+      const delivery = { id: event.id, type, url, status: "pending", attempts: 0 };
+      job.webhookDeliveries.push(delivery);
+      webhooks.send(`${job.id} ${url}`, url, event, ({ attempt, statusCode, error, delivered, final }) => {
+        Object.assign(delivery, {
+          status: delivered ? "delivered" : final ? "failed" : "pending",
+          attempts: attempt,
+          statusCode: statusCode ?? undefined,
+          error: error ?? undefined,
+          lastAttemptAt: Date.now()
+        });
+        jobs.save(job);
+        if (final && !delivered) {
+          log.warn("Webhook delivery failed", { event: type, eventId: event.id, host: new URL(url).host, attempts: attempt, statusCode, error });
+        }
+      }, { trusted: url === config.webhooks.url });
+    }
+    jobs.save(job);
+  };
+
+  let status = job.status;
+  const unsubscribe = subscribeJobEvents(job.id, ({ type, data }) => {
+    if (type === "status") {
+      // Resuming after a pause does not start the job again
+      if (data.status === "running" && status === "queued") notify("job.started", { wallet: job.wallet, total: job.total });
+      status = data.status;
+    } else if (type === "progress") {
+      const { status: txStatus } = data.transaction;
+      if (txStatus === 1) notify("transaction.confirmed", data);
+      else notify("transaction.failed", { ...data, reason: txStatus === 0 ? "reverted" : "unconfirmed" });
+    } else if (type === "failure") {
+      notify("transaction.failed", { ...data, reason: "error" });
+    } else if (type === "complete") {
+      notify("job.completed", { status: job.status, completed: job.completed, stoppedAt: job.stoppedAt, duration: job.duration });
+    } else if (type === "failed") {
+      notify("job.failed", { error: data.error });
+    }
+
+    if (TERMINAL_EVENTS.includes(type)) unsubscribe();
+  });
+}
+
+// Logger of a job started by `req`; the job's key is scrubbed even if it came with the request
+const jobLogger = (req, jobId, privateKey) => req.log.child({ jobId }, [privateKey]);
+
+// Final log line of a job, failed or not
+function logJobEnd(job, log) {
+  if (job.status === "failed") log.error("Job failed", { type: job.type || "batch", error: job.error });
+  else log.info(`Job ${job.status}`, { type: job.type || "batch", stoppedAt: job.stoppedAt ?? undefined });
+}
+
 async function executeBatch(jobId, config) {
   const job = jobs.get(jobId);
+  const control = controls.get(jobId);
+  const log = config.logger;
   
   try {
-    job.status = "running";
-    job.startTime = Date.now();
+    updateJob(job, { status: "running", startTime: Date.now() });
+    log.info("Job started", { type: "batch", resume: config.resume });
 
     const result = await executeBatchTransactions(
       config,
       {
-        onStart: ({ wallet }) => {
+        onStart: ({ wallet, logPath }) => {
           job.wallet = wallet;
+          job.logPath = logPath;
+          jobs.save(job);
         },
         onProgress: ({ completed, total, transaction }) => {
           job.completed = completed;
           job.transactions = job.transactions || [];
           job.transactions.push(transaction);
-        }
+          jobs.save(job);
+          publishJobEvent(job.id, "progress", { completed, total, transaction });
+        },
+        onRetry: onJobRetry(job),
+        control
       }
     );
 
-    job.status = "completed";
-    job.duration = result.duration;
-    job.logPath = result.logPath;
-    job.balances = result.balances;
-    job.transactions = result.transactions;
-    job.endTime = Date.now();
+    if (result.dryRun) {
+      updateJob(job, {
+        status: "completed",
+        duration: result.duration,
+        balances: result.balances,
+        planned: {
+          count: result.transactions.length,
+          totalAmount: result.totalAmount,
+          transactions: result.transactions
+        },
+        estimate: {
+          gas: result.estimatedGas,
+          maxGasPrice: result.maxGasPrice,
+          fee: result.estimatedFee
+        },
+        simulationFailures: result.failed,
+        recipients: result.recipients || job.recipients,
+        warnings: result.warnings,
+        endTime: Date.now()
+      });
+      publishJobEvent(job.id, "complete", result);
+      return;
+    }
+
+    updateJob(job, {
+      status: result.cancelled ? "cancelled" : "completed",
+      stoppedAt: result.stoppedAt,
+      duration: result.duration,
+      logPath: result.logPath,
+      balances: result.balances,
+      recipients: result.recipients || job.recipients,
+      transactions: result.transactions,
+      transfers: result.transfers,
+      endTime: Date.now()
+    });
+    publishJobEvent(job.id, "complete", result);
 
   } catch (err) {
-    job.status = "failed";
-    job.error = err.message;
-    job.endTime = Date.now();
+    updateJob(job, { status: "failed", error: err.message, endTime: Date.now() });
+    publishJobEvent(job.id, "failed", { error: err.message });
+  } finally {
+    logJobEnd(job, log);
+    controls.delete(jobId);
   }
 }
 
+// The job in the path, or null once a 404 (or a 403 for a job on a wallet or network the
+// key is not allowed) has been sent
+const requestJob = (req, res) => {
+  const job = jobs.get(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  if (!canAccessJob(req.apiKey, job)) {
+    res.status(403).json({ error: `API key ${req.apiKey.name} may not access job ${job.id}` });
+    return null;
+  }
+  return job;
+};
+
+// Shared handler for the pause/resume/cancel endpoints
+const jobControlHandler = (action, nextStatus) => (req, res) => {
+  const job = requestJob(req, res);
+  if (!job) return;
+
+  // A job still waiting for a slot is simply taken out of the queue
+  if (jobQueue.position(job.id)) {
+    if (action !== "cancel") {
+      return res.status(409).json({ error: `Cannot ${action} a job that is queued; cancel it instead` });
+    }
+    jobQueue.remove(job.id);
+    controls.delete(job.id);
+    updateJob(job, { status: "cancelled", endTime: Date.now() });
+    publishJobEvent(job.id, "complete", { cancelled: true });
+    return res.json({ jobId: job.id, status: job.status, completed: job.completed });
+  }
+
+  const control = controls.get(job.id);
+  if (!control || !control[action]()) {
+    return res.status(409).json({ error: `Cannot ${action} a job that is ${job.status}` });
+  }
+
+  updateJob(job, { status: nextStatus });
+
+  res.json({ jobId: job.id, status: job.status, completed: job.completed });
+};
+
 // POST /batch - Start a new batch transaction
-app.post("/batch", apiKeyAuth, async (req, res) => {
+route("post", "/batch", { operationId: "startBatch", summary: "Start a new batch transaction", scope: "batch:write", body: schemas.batch }, async (req, res) => {
   try {
-    const { privateKey, rpc, token, to, count = 20, min = "0.01", max = "0.5", delay = 1.0, retries = 3, logDir = "logs" } = req.body;
-
-    if (!privateKey || !rpc || !token || !to) {
-      return res.status(400).json({ error: "Missing required fields: privateKey, rpc, token, to" });
+    const { walletId, accountIndex, rpc, network, token, to, recipients, allowDuplicates = false, count = 20, min = "0.01", max = "0.5", delay = 1.0, retries = 3, fee, receiptTimeout, maxReplacements, broadcast, inFlight, aggregate = false, disperse, chunkSize, maxChunkGas, dryRun = false, logDir = "logs", webhookUrl } = req.body;
+
+    const selected = requestNetwork(req, network);
+    if (aggregate) requireDisperse(selected, disperse);
+    if (webhookUrl) await requireWebhookUrl(webhookUrl);
+    const privateKey = await requestPrivateKey(req);
+
+    // Addresses and amounts are checked before the job starts; amounts are checked
+    // again against the token's decimals and balance once it runs
+    let validation = null;
+    if (recipients) {
+      validation = validateRecipients(recipients);
+      const problems = recipientProblems(validation, { allowDuplicates });
+      if (problems.length > 0 && !dryRun) {
+        return res.status(400).json({ error: problems.join("; "), ...recipientReport(validation) });
+      }
     }
 
+    const wallet = walletAddress(privateKey);
+    jobQueue.ensureRoom();
+
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     jobs.set(jobId, {
       id: jobId,
       status: "queued",
-      config: { privateKey, rpc, token, to, count, min, max, delay, retries, logDir },
+      wallet,
+      dryRun: dryRun || undefined,
+      recipients: validation ? recipientReport(validation) : undefined,
+      config: sanitizeConfig({ walletId, accountIndex, rpc, network, token, to, recipients, allowDuplicates, count, min, max, delay, retries, fee, receiptTimeout, maxReplacements, broadcast, inFlight, aggregate, disperse, chunkSize, maxChunkGas, dryRun, logDir, webhookUrl }),
       createdAt: Date.now(),
       completed: 0,
       transactions: []
     });
+    controls.set(jobId, createJobControl());
+    const log = jobLogger(req, jobId, privateKey);
+    notifyWebhooks(jobs.get(jobId), log);
 
-    // Execute in background
-    executeBatch(jobId, { privateKey, rpc, token, to, count, min, max, delay, retries, logDir });
+    // Execute in background once the queue has room
+    jobQueue.add(jobId, wallet, () => executeBatch(jobId, { privateKey, rpc, network, token, to, recipients, allowDuplicates, count, min, max, delay, retries, fee, receiptTimeout, maxReplacements, broadcast, inFlight, aggregate, disperse, chunkSize, maxChunkGas, dryRun, logDir, logger: log }));
 
     res.json({ 
       jobId, 
       status: "queued",
-      message: "Batch transaction started",
+      queuePosition: jobQueue.position(jobId) ?? undefined,
+      message: dryRun ? "Dry run started" : "Batch transaction started",
+      recipients: validation ? recipientReport(validation) : undefined,
       statusUrl: `/batch/${jobId}`
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // GET /batch/:jobId - Get job status
-app.get("/batch/:jobId", apiKeyAuth, (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: "Job not found" });
-  }
+route("get", "/batch/:jobId", { operationId: "getJob", summary: "Get job status", scope: "read" }, (req, res) => {
+  const job = requestJob(req, res);
+  if (!job) return;
 
   const response = {
     id: job.id,
     status: job.status,
+    dryRun: job.dryRun,
     wallet: job.wallet,
+    recipients: job.recipients,
     balances: job.balances,
     planned: job.planned,
     completed: job.completed,
+    total: job.total,
     transactions: job.transactions,
+    transfers: job.transfers,
+    results: job.results,
     createdAt: job.createdAt,
     warnings: job.warnings
   };
 
+  if (job.status === "queued") {
+    response.queuePosition = jobQueue.position(job.id);
+  }
+
+  if (job.dryRun) {
+    response.estimate = job.estimate;
+    response.simulationFailures = job.simulationFailures;
+  }
+
   if (job.status === "completed") {
     response.duration = job.duration;
     response.logPath = job.logPath;
@@ -151,17 +495,75 @@ app.get("/batch/:jobId", apiKeyAuth, (req, res) => {
     response.endTime = job.endTime;
   }
 
+  if (job.status === "cancelled") {
+    response.stoppedAt = job.stoppedAt;
+    response.endTime = job.endTime;
+  }
+
+  if (job.status === "interrupted") {
+    response.error = job.error;
+    response.lastNonce = job.lastNonce;
+    response.endTime = job.endTime;
+  }
+
   res.json(response);
 });
 
+// GET /batch/:jobId/webhooks - Webhook deliveries of a job
+route("get", "/batch/:jobId/webhooks", { operationId: "getJobWebhooks", summary: "Webhook deliveries of a job", scope: "read" }, (req, res) => {
+  const job = requestJob(req, res);
+  if (!job) return;
+
+  res.json({ jobId: job.id, deliveries: job.webhookDeliveries || [] });
+});
+
+// GET /batch/:jobId/events - Stream job progress as Server-Sent Events
+route("get", "/batch/:jobId/events", { operationId: "streamJobEvents", summary: "Stream job progress as Server-Sent Events", scope: "read", stream: true }, (req, res) => {
+  const job = requestJob(req, res);
+  if (!job) return;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+  // Start with the current state so late subscribers don't miss earlier progress
+  send({
+    type: "status",
+    jobId: job.id,
+    timestamp: Date.now(),
+    data: { status: job.status, completed: job.completed }
+  });
+
+  if (!controls.has(job.id)) {
+    return res.end();
+  }
+
+  const unsubscribe = subscribeJobEvents(job.id, (event) => {
+    send(event);
+    if (TERMINAL_EVENTS.includes(event.type)) res.end();
+  });
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+  res.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
 // GET /batch - List all jobs
-app.get("/batch", apiKeyAuth, (req, res) => {
-  const allJobs = Array.from(jobs.values()).map(job => ({
+route("get", "/batch", { operationId: "listJobs", summary: "List all jobs", scope: "read" }, (req, res) => {
+  const allJobs = Array.from(jobs.values()).filter((job) => canAccessJob(req.apiKey, job)).map(job => ({
     id: job.id,
     status: job.status,
     wallet: job.wallet,
     completed: job.completed,
     total: job.planned?.count || 0,
+    queuePosition: jobQueue.position(job.id) ?? undefined,
     createdAt: job.createdAt,
     duration: job.duration
   }));
@@ -169,48 +571,101 @@ app.get("/batch", apiKeyAuth, (req, res) => {
   res.json({ jobs: allJobs, total: allJobs.length });
 });
 
-// DELETE /batch/:jobId - Delete a job from memory
-app.delete("/batch/:jobId", apiKeyAuth, (req, res) => {
-  const deleted = jobs.delete(req.params.jobId);
-  
-  if (!deleted) {
-    return res.status(404).json({ error: "Job not found" });
+// POST /batch/:jobId/cancel - Stop a job before its next transaction
+route("post", "/batch/:jobId/cancel", { operationId: "cancelJob", summary: "Stop a job before its next transaction", scope: "batch:write" }, jobControlHandler("cancel", "cancelling"));
+
+// POST /batch/:jobId/pause - Hold a job before its next transaction
+route("post", "/batch/:jobId/pause", { operationId: "pauseJob", summary: "Hold a job before its next transaction", scope: "batch:write" }, jobControlHandler("pause", "paused"));
+
+// POST /batch/:jobId/resume - Continue a paused job, or re-run a stopped token batch from its tx log
+const resumePausedJob = jobControlHandler("resume", "running");
+route("post", "/batch/:jobId/resume", { operationId: "resumeJob", summary: "Continue a paused job, or re-run a stopped token batch from its tx log", scope: "batch:write", body: schemas.resume }, async (req, res) => {
+  const job = requestJob(req, res);
+  if (!job) return;
+
+  if (controls.has(job.id)) {
+    return resumePausedJob(req, res);
+  }
+
+  if (!["failed", "interrupted", "cancelled"].includes(job.status)) {
+    return res.status(409).json({ error: `Cannot resume a job that is ${job.status}` });
+  }
+
+  if (job.type || !job.logPath) {
+    return res.status(409).json({ error: "Only token batch jobs with a tx log can be resumed" });
+  }
+
+  // Keys are never stored with the job, so the caller has to supply it again
+  // (or the job runs on a vault or server wallet, which it still refers to)
+  let privateKey;
+  let wallet;
+  try {
+    const { walletId, accountIndex, network } = job.config;
+    requestNetwork(req, network);
+    privateKey = await requestPrivateKey(req, { walletId, accountIndex, ...req.body });
+    wallet = walletAddress(privateKey);
+    jobQueue.ensureRoom();
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
   }
 
+  updateJob(job, {
+    status: "queued",
+    error: undefined,
+    resumedAt: Date.now(),
+    transactions: (job.transactions || []).filter((tx) => tx.status === 1)
+  });
+  controls.set(job.id, createJobControl());
+  const log = jobLogger(req, job.id, privateKey);
+  notifyWebhooks(job, log);
+
+  // Execute in background once the queue has room
+  jobQueue.add(job.id, wallet, () => executeBatch(job.id, { ...job.config, privateKey, resume: job.logPath, logger: log }));
+
+  res.json({
+    jobId: job.id,
+    status: "queued",
+    message: "Batch resumed from tx log",
+    logPath: job.logPath,
+    statusUrl: `/batch/${job.id}`
+  });
+});
+
+// DELETE /batch/:jobId - Delete a job from the job store (cancels it if still running)
+route("delete", "/batch/:jobId", { operationId: "deleteJob", summary: "Delete a job from the job store (cancels it if still running)", scope: "batch:write" }, (req, res) => {
+  const job = requestJob(req, res);
+  if (!job) return;
+
+  jobQueue.remove(job.id);
+  controls.get(job.id)?.cancel();
+  jobs.delete(job.id);
+
   res.json({ message: "Job deleted" });
 });
 
 // POST /interact/sign - Sign a message
-app.post("/interact/sign", privateApiKey, async (req, res) => {
+route("post", "/interact/sign", { operationId: "signMessage", summary: "Sign a message", scope: "sign", body: schemas.sign }, async (req, res) => {
   try {
     const { message } = req.body;
 
-    if (!message) {
-      return res.status(400).json({ error: "Missing required field: message" });
-    }
-
     const result = await signMessage({
-      privateKey: config.privateKey,
+      privateKey: await requestPrivateKey(req),
       message
     });
 
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // POST /interact/sign-typed - Sign typed data (EIP-712)
-app.post("/interact/sign-typed", privateApiKey, async (req, res) => {
+route("post", "/interact/sign-typed", { operationId: "signTypedData", summary: "Sign typed data (EIP-712)", scope: "sign", body: schemas.signTyped }, async (req, res) => {
   try {
     const { domain, types, value } = req.body;
 
-    if (!domain || !types || !value) {
-      return res.status(400).json({ error: "Missing required fields: domain, types, value" });
-    }
-
     const result = await signTypedData({
-      privateKey: config.privateKey,
+      privateKey: await requestPrivateKey(req),
       domain,
       types,
       value
@@ -218,21 +673,20 @@ app.post("/interact/sign-typed", privateApiKey, async (req, res) => {
 
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // POST /interact/call - Call contract (read-only)
-app.post("/interact/call", privateApiKey, async (req, res) => {
+route("post", "/interact/call", { operationId: "callContract", summary: "Call contract (read-only)", scope: "read", body: schemas.call }, async (req, res) => {
   try {
-    const { rpc, contract, abi, method, params = [] } = req.body;
+    const { rpc, network, contract, abi, method, params = [] } = req.body;
 
-    if (!rpc || !contract || !abi || !method) {
-      return res.status(400).json({ error: "Missing required fields: rpc, contract, abi, method" });
-    }
+    requestNetwork(req, network);
 
     const result = await callContract({
       rpc,
+      network,
       contract,
       abi,
       method,
@@ -241,122 +695,166 @@ app.post("/interact/call", privateApiKey, async (req, res) => {
 
     res.json({ result: result.toString() });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // POST /interact/send - Send transaction to contract
-app.post("/interact/send", privateApiKey, async (req, res) => {
+route("post", "/interact/send", { operationId: "sendTransaction", summary: "Send transaction to contract", scope: "send", body: schemas.send }, async (req, res) => {
   try {
-    const { rpc, contract, abi, method, params = [], value, gasLimit, gasPrice } = req.body;
+    const { rpc, network, contract, abi, method, params = [], value, gasLimit, gasPrice, fee, receiptTimeout, maxReplacements, broadcast, simulate } = req.body;
 
-    if (!rpc || !contract || !abi || !method) {
-      return res.status(400).json({ error: "Missing required fields: rpc, contract, abi, method" });
-    }
+    requestNetwork(req, network);
+    const privateKey = await requestPrivateKey(req);
 
     const result = await sendTransaction({
-      privateKey: config.privateKey,
+      privateKey,
       rpc,
+      network,
       contract,
       abi,
       method,
       params,
       value,
       gasLimit,
-      gasPrice
+      gasPrice,
+      fee,
+      receiptTimeout,
+      maxReplacements,
+      broadcast,
+      simulate,
+      requireSimulation: config.requireSimulation,
+      logger: req.log.child({}, [privateKey])
     });
 
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message, revert: err.revert });
   }
 });
 
 // POST /interact/send-raw - Send raw transaction
-app.post("/interact/send-raw", privateApiKey, async (req, res) => {
+route("post", "/interact/send-raw", { operationId: "sendRawTransaction", summary: "Send raw transaction", scope: "send", body: schemas.sendRaw }, async (req, res) => {
   try {
-    const { rpc, to, data, value, gasLimit, chainId } = req.body;
+    const { rpc, network, to, data, value, gasLimit, gasPrice, fee, receiptTimeout, maxReplacements, broadcast, chainId, abi, simulate } = req.body;
 
-    if (!rpc || !to || !data) {
-      return res.status(400).json({ error: "Missing required fields: rpc, to, data" });
-    }
+    requestNetwork(req, network);
+    const privateKey = await requestPrivateKey(req);
 
     const result = await sendRawTransaction({
-      privateKey: config.privateKey,
+      privateKey,
       rpc,
+      network,
       to,
       data,
       value,
       gasLimit,
-      chainId
+      gasPrice,
+      fee,
+      receiptTimeout,
+      maxReplacements,
+      broadcast,
+      chainId,
+      abi,
+      simulate,
+      requireSimulation: config.requireSimulation,
+      logger: req.log.child({}, [privateKey])
     });
 
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message, revert: err.revert });
   }
 });
 
 // POST /interact/batch-send-raw - Send multiple raw transactions (async job)
-app.post("/interact/batch-send-raw", apiKeyAuth, async (req, res) => {
+route("post", "/interact/batch-send-raw", { operationId: "batchSendRawTransactions", summary: "Send multiple raw transactions (async job)", scope: "batch:write", body: schemas.batchSendRaw }, async (req, res) => {
   try {
-    const { privateKey, rpc, transactions, delay = 1.0, retries = 3, gasLimit, gasPrice } = req.body;
+    const { walletId, accountIndex, rpc, network, transactions, delay = 1.0, retries = 3, gasLimit, gasPrice, fee, receiptTimeout, maxReplacements, broadcast, inFlight, abi, simulate, webhookUrl } = req.body;
 
-    if (!privateKey || !rpc || !transactions || !Array.isArray(transactions)) {
-      return res.status(400).json({ error: "Missing required fields: privateKey, rpc, transactions (array)" });
-    }
+    requestNetwork(req, network);
+    if (webhookUrl) await requireWebhookUrl(webhookUrl);
+    const privateKey = await requestPrivateKey(req);
 
     // Calculate total based on each transaction's count
     const total = transactions.reduce((sum, tx) => sum + (tx.count || 1), 0);
 
+    const wallet = walletAddress(privateKey);
+    jobQueue.ensureRoom();
+
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     jobs.set(jobId, {
       id: jobId,
       type: "batch-send-raw",
       status: "queued",
-      config: { privateKey, rpc, transactions, delay, retries, gasLimit, gasPrice },
+      wallet,
+      config: sanitizeConfig({ walletId, accountIndex, rpc, network, transactions, delay, retries, gasLimit, gasPrice, fee, receiptTimeout, maxReplacements, broadcast, inFlight, abi, simulate, webhookUrl }),
       createdAt: Date.now(),
       completed: 0,
       total,
       results: []
     });
+    controls.set(jobId, createJobControl());
+    const log = jobLogger(req, jobId, privateKey);
+    notifyWebhooks(jobs.get(jobId), log);
 
-    // Execute in background
-    (async () => {
+    // Execute in background once the queue has room
+    jobQueue.add(jobId, wallet, async () => {
       const job = jobs.get(jobId);
+      const control = controls.get(jobId);
       try {
-        job.status = "running";
-        job.startTime = Date.now();
+        updateJob(job, { status: "running", startTime: Date.now() });
+        log.info("Job started", { type: job.type, total });
 
         const result = await batchSendRawTransactions(
           {
             privateKey,
             rpc,
+            network,
             transactions,
             delay,
             retries,
             gasLimit,
             gasPrice,
-            verbose: false
+            fee,
+            receiptTimeout,
+            maxReplacements,
+            broadcast,
+            inFlight,
+            abi,
+            simulate,
+            requireSimulation: config.requireSimulation,
+            logger: log
           },
           {
             onProgress: ({ completed, total, transaction }) => {
               job.completed = completed;
               job.results.push(transaction);
-            }
+              jobs.save(job);
+              publishJobEvent(job.id, "progress", { completed, total, transaction });
+            },
+            onRetry: onJobRetry(job),
+            onFailure: onJobFailure(job),
+            control
           }
         );
 
-        job.status = "completed";
-        job.summary = result;
-        job.endTime = Date.now();
+        updateJob(job, {
+          status: result.cancelled ? "cancelled" : "completed",
+          stoppedAt: result.stoppedAt,
+          summary: result,
+          endTime: Date.now()
+        });
+        publishJobEvent(job.id, "complete", result);
       } catch (err) {
-        job.status = "failed";
-        job.error = err.message;
-        job.endTime = Date.now();
+        updateJob(job, { status: "failed", error: err.message, endTime: Date.now() });
+        publishJobEvent(job.id, "failed", { error: err.message });
+      } finally {
+        logJobEnd(job, log);
+        controls.delete(jobId);
       }
-    })();
+    });
 
     res.json({ 
       jobId, 
@@ -366,77 +864,60 @@ app.post("/interact/batch-send-raw", apiKeyAuth, async (req, res) => {
       statusUrl: `/batch/${jobId}`
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // GET /interact/wallet - Get wallet info
-app.get("/interact/wallet", privateApiKey, async (req, res) => {
+route("get", "/interact/wallet", { operationId: "getWalletInfo", summary: "Get wallet info", scope: "read", query: schemas.walletInfo }, async (req, res) => {
   try {
-    const { rpc } = req.query;
-
-    if (!rpc) {
-      return res.status(400).json({ error: "Missing required query param: rpc" });
+    const { rpc, network, walletId, accountIndex } = req.query;
+    // Keys must not travel in URLs, where proxies and access logs keep them
+    if (req.query.privateKey !== undefined) {
+      throw new RequestError("privateKey is not accepted in the query; use walletId, or the server wallet with accountIndex");
     }
+    requestNetwork(req, network);
 
     const result = await getWalletInfo({
-      privateKey: config.privateKey,
-      rpc
+      privateKey: await requestPrivateKey(req, { walletId, accountIndex }),
+      rpc,
+      network
     });
 
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // POST /interact/generate-wallets - Generate new wallets
-app.post("/interact/generate-wallets", apiKeyAuth, async (req, res) => {
+route("post", "/interact/generate-wallets", { operationId: "generateWallets", summary: "Generate new wallets", scope: "wallets:generate", body: schemas.generateWallets }, async (req, res) => {
   try {
-    const { count = 1 } = req.body;
-
-    if (count < 1 || count > 100) {
-      return res.status(400).json({ error: "Count must be between 1 and 100" });
-    }
+    const { count = 1, mnemonic, startIndex, format, password, label } = req.body || {};
 
-    const wallets = [];
-    for (let i = 0; i < count; i++) {
-      const wallet = ethers.Wallet.createRandom();
-      wallets.push({
-        address: wallet.address,
-        privateKey: wallet.privateKey
-      });
+    if (format === "vault" && !hasScope(req.apiKey, "wallets:manage")) {
+      return res.status(403).json({ error: `API key ${req.apiKey.name} lacks the wallets:manage scope`, missingScope: "wallets:manage" });
     }
 
-    res.json({
-      count: wallets.length,
-      wallets
-    });
+    const result = await generateWallets({ count, mnemonic, startIndex, format, password, label }, vault);
+    res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // POST /interact/send-eth - Send ETH to address (async job)
-app.post("/interact/send-eth", apiKeyAuth, async (req, res) => {
+route("post", "/interact/send-eth", { operationId: "sendEth", summary: "Send ETH to address (async job)", scope: "batch:write", body: schemas.sendEth }, async (req, res) => {
   try {
-    const { privateKey, rpc, to, amount, transactions, delay = 0, retries = 3 } = req.body;
+    const { walletId, accountIndex, rpc, network, to, amount, transactions, delay = 0, retries = 3, gasPrice, fee, receiptTimeout, maxReplacements, broadcast, inFlight, aggregate = false, disperse, chunkSize, maxChunkGas, webhookUrl } = req.body;
 
-    if (!privateKey || !rpc) {
-      return res.status(400).json({ error: "Missing required fields: privateKey, rpc" });
-    }
-
-    if (!to && !transactions) {
-      return res.status(400).json({ error: "Either 'to' and 'amount' OR 'transactions' array is required" });
-    }
+    const selected = requestNetwork(req, network);
+    if (aggregate && transactions) requireDisperse(selected, disperse);
+    if (webhookUrl) await requireWebhookUrl(webhookUrl);
+    const privateKey = await requestPrivateKey(req);
 
-    if (to && !amount) {
-      return res.status(400).json({ error: "Amount is required when 'to' is provided" });
-    }
-
-    if (transactions && (!Array.isArray(transactions) || transactions.length === 0)) {
-      return res.status(400).json({ error: "Transactions must be a non-empty array" });
-    }
+    const wallet = walletAddress(privateKey);
+    jobQueue.ensureRoom();
 
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
@@ -446,47 +927,75 @@ app.post("/interact/send-eth", apiKeyAuth, async (req, res) => {
       id: jobId,
       type: "send-eth",
       status: "queued",
-      config: { privateKey, rpc, to, amount, transactions, delay, retries },
+      wallet,
+      config: sanitizeConfig({ walletId, accountIndex, rpc, network, to, amount, transactions, delay, retries, gasPrice, fee, receiptTimeout, maxReplacements, broadcast, inFlight, aggregate, disperse, chunkSize, maxChunkGas, webhookUrl }),
       createdAt: Date.now(),
       completed: 0,
       total,
       results: []
     });
+    controls.set(jobId, createJobControl());
+    const log = jobLogger(req, jobId, privateKey);
+    notifyWebhooks(jobs.get(jobId), log);
 
-    // Execute in background
-    (async () => {
+    // Execute in background once the queue has room
+    jobQueue.add(jobId, wallet, async () => {
       const job = jobs.get(jobId);
+      const control = controls.get(jobId);
       try {
-        job.status = "running";
-        job.startTime = Date.now();
+        updateJob(job, { status: "running", startTime: Date.now() });
+        log.info("Job started", { type: job.type, total });
 
         const result = await sendEth(
           {
             privateKey,
             rpc,
+            network,
             to,
             amount,
             transactions,
             delay,
-            retries
+            retries,
+            gasPrice,
+            fee,
+            receiptTimeout,
+            maxReplacements,
+            broadcast,
+            inFlight,
+            aggregate,
+            disperse,
+            chunkSize,
+            maxChunkGas,
+            logger: log
           },
           {
             onProgress: ({ completed, total, transaction }) => {
               job.completed = completed;
               job.results.push(transaction);
-            }
+              jobs.save(job);
+              publishJobEvent(job.id, "progress", { completed, total, transaction });
+            },
+            onRetry: onJobRetry(job),
+            onFailure: onJobFailure(job),
+            control
           }
         );
 
-        job.status = "completed";
-        job.result = result;
-        job.endTime = Date.now();
+        updateJob(job, {
+          status: result.cancelled ? "cancelled" : "completed",
+          stoppedAt: result.stoppedAt,
+          result,
+          endTime: Date.now()
+        });
+        publishJobEvent(job.id, "complete", result);
       } catch (err) {
-        job.status = "failed";
-        job.error = err.message;
-        job.endTime = Date.now();
+        updateJob(job, { status: "failed", error: err.message, endTime: Date.now() });
+        publishJobEvent(job.id, "failed", { error: err.message });
+      } finally {
+        logJobEnd(job, log);
+        controls.delete(jobId);
       }
-    })();
+    });
 
     res.json({ 
       jobId, 
@@ -496,16 +1005,162 @@ app.post("/interact/send-eth", apiKeyAuth, async (req, res) => {
       statusUrl: `/batch/${jobId}`
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /wallets - List vault wallets (IDs, addresses and labels; never keys)
+route("get", "/wallets", { operationId: "listWallets", summary: "List vault wallets (IDs, addresses and labels; never keys)", scope: "read" }, (req, res) => {
+  try {
+    const wallets = requireVault().list();
+    res.json({ wallets, total: wallets.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /wallets - Import a private key (or a mnemonic account) into the vault
+route("post", "/wallets", { operationId: "addWallet", summary: "Import a private key (or a mnemonic account) into the vault", scope: "wallets:manage", body: schemas.addWallet, status: 201 }, async (req, res) => {
+  try {
+    const { privateKey, mnemonic, accountIndex, label } = req.body || {};
+
+    const wallet = await resolveWallet({ privateKey, mnemonic, accountIndex });
+    res.status(201).json(requireVault().add(wallet.privateKey, label));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// PATCH /wallets/:walletId - Change a wallet's label
+route("patch", "/wallets/:walletId", { operationId: "labelWallet", summary: "Change a wallet's label", scope: "wallets:manage", body: schemas.labelWallet }, (req, res) => {
+  try {
+    const { label = null } = req.body || {};
+    res.json(requireVault().label(req.params.walletId, label));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE /wallets/:walletId - Remove a wallet (and its key) from the vault
+route("delete", "/wallets/:walletId", { operationId: "removeWallet", summary: "Remove a wallet (and its key) from the vault", scope: "wallets:manage" }, (req, res) => {
+  try {
+    const wallet = requireVault().remove(req.params.walletId);
+    res.json({ message: "Wallet removed", wallet });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /tx/:hash/speed-up and /tx/:hash/cancel - Replace a pending transaction (same nonce, higher fees)
+const replaceHandler = (replace) => async (req, res) => {
+  try {
+    const { rpc, network, fee, broadcast } = req.body || {};
+    requestNetwork(req, network);
+    const privateKey = await requestPrivateKey(req);
+
+    const result = await replace({ privateKey, rpc, network, hash: req.params.hash, fee, broadcast });
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+route("post", "/tx/:hash/speed-up", { operationId: "speedUpTransaction", summary: "Re-send a pending transaction with higher fees", scope: "send", params: schemas.txHash, body: schemas.replaceTx }, replaceHandler(speedUpTransaction));
+route("post", "/tx/:hash/cancel", { operationId: "cancelTransaction", summary: "Replace a pending transaction with a zero-value self-transfer", scope: "send", params: schemas.txHash, body: schemas.replaceTx }, replaceHandler(cancelTransaction));
+
+// GET /policy - Spending policy rules and what each wallet sent in the daily window
+route("get", "/policy", { operationId: "getPolicy", summary: "Spending policy rules and what each wallet sent in the daily window", scope: "read" }, (req, res) => {
+  res.json(policyInfo());
+});
+
+// GET /policy/decisions - Recent policy decisions, newest first
+route("get", "/policy/decisions", { operationId: "listPolicyDecisions", summary: "Recent policy decisions, newest first", scope: "read", query: schemas.policyDecisions }, (req, res) => {
+  const { wallet, allowed, limit = 100 } = req.query;
+  const decisions = listDecisions({
+    wallet,
+    allowed: allowed == null ? undefined : allowed === "true",
+    limit: Number(limit)
+  });
+  res.json({ decisions, total: decisions.length });
+});
+
+// GET /networks - Networks selectable with the `network` field
+route("get", "/networks", { operationId: "listNetworks", summary: "Networks selectable with the `network` field" }, (req, res) => {
+  res.json({ networks: listNetworks() });
+});
+
+// GET /rpc/health - Probe every endpoint of an RPC list
+route("get", "/rpc/health", { operationId: "checkRpcHealth", summary: "Probe every endpoint of an RPC list", scope: "read", query: schemas.rpcHealth }, async (req, res) => {
+  try {
+    const { rpc, network } = req.query;
+
+    const selected = requestNetwork(req, network);
+    const endpoints = await rpcProvider(rpc || selected.rpcs, { chainId: selected?.chainId }).checkHealth();
+    res.json({
+      healthy: endpoints.filter((endpoint) => endpoint.healthy).length,
+      total: endpoints.length,
+      endpoints
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Health check
-app.get("/health", (req, res) => {
+route("get", "/health", { operationId: "getHealth", summary: "Health check" }, (req, res) => {
+  const active = Array.from(jobs.values()).filter((job) => IN_FLIGHT_STATUSES.includes(job.status));
   res.json({ 
     status: "ok", 
     timestamp: Date.now(),
-    activeJobs: jobs.size
+    activeJobs: active.length,
+    totalJobs: jobs.size,
+    runningJobs: jobQueue.running,
+    queuedJobs: jobQueue.queued
+  });
+});
+
+// GET /metrics - Prometheus metrics: transactions, gas and fees per wallet and network, RPC latency, jobs
+route("get", "/metrics", { operationId: "getMetrics", summary: "Prometheus metrics", text: true, scope: config.metricsPublic ? undefined : "read" }, (req, res) => {
+  const statuses = {};
+  for (const job of jobs.values()) statuses[job.status] = (statuses[job.status] || 0) + 1;
+  setJobCounts({ queued: jobQueue.queued, running: jobQueue.running, statuses });
+
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// GET /openapi.json, /docs and /client.js - API description, interactive docs and a JS client,
+// built from the routes above on first use
+let openApiSpec = null;
+const openApi = () => {
+  openApiSpec ||= buildOpenApi(routes, {
+    title: "linea-20",
+    version: "1.0.0",
+    description: "Batch ERC-20 and ETH transfers and dApp interactions on Linea and other EVM chains. Send the API key in the x-api-key header."
+  });
+  return openApiSpec;
+};
+
+app.get("/openapi.json", (req, res) => {
+  res.json(openApi());
+});
+
+app.get("/docs", (req, res) => {
+  res.type("html").send(docsPage("/openapi.json", `${openApi().info.title} API`));
+});
+
+app.get("/client.js", (req, res) => {
+  res.type("js").send(generateClient(openApi()));
+});
+
+// Bodies express.json() could not read get the same 400 shape as validate() failures
+app.use((err, req, res, next) => {
+  if (!err.type || !err.status || err.status >= 500) return next(err);
+  const message = err.type === "entity.parse.failed"
+    ? "must be a JSON object or array"
+    : err.type === "entity.too.large" ? `is larger than ${err.limit} bytes` : err.message;
+  res.status(err.status).json({
+    error: `Invalid request: body ${message}`,
+    errors: [{ in: "body", field: "body", message }]
   });
 });
 
@@ -513,8 +1168,10 @@ const HOST = config.host;
 const PORT = config.port;
 
 app.listen(PORT, HOST, () => {
-  console.log(`Server running on ${HOST}:${PORT}`);
-  console.log(`Health check: http://${HOST}:${PORT}/health`);
-  console.log(`Start batch: POST http://${HOST}:${PORT}/batch`);
-  console.log(`Check status: GET http://${HOST}:${PORT}/batch/:jobId`);
+  logger.info(`Server running on ${HOST}:${PORT}`, {
+    health: `http://${HOST}:${PORT}/health`,
+    startBatch: `POST http://${HOST}:${PORT}/batch`,
+    checkStatus: `GET http://${HOST}:${PORT}/batch/:jobId`,
+    docs: `http://${HOST}:${PORT}/docs`
+  });
 });
@@ -2,10 +2,77 @@ import dotenv from 'dotenv';
 
 dotenv.config({ override: false, quiet: true });
 
+// Integer setting where 0 is a valid value (e.g. to switch a limit off)
+const intEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 export const config = {
   privateKey: process.env.PRIVATE_KEY || '',
+  // Used when PRIVATE_KEY is empty: an encrypted keystore, else a mnemonic
+  wallet: {
+    keystore: process.env.KEYSTORE_FILE || '',
+    password: process.env.KEYSTORE_PASSWORD || '',
+    passwordFile: process.env.KEYSTORE_PASSWORD_FILE || '',
+    mnemonic: process.env.MNEMONIC || '',
+    mnemonicFile: process.env.MNEMONIC_FILE || '',
+    accountIndex: parseInt(process.env.ACCOUNT_INDEX, 10) || 0,
+    path: process.env.HD_PATH || '',
+  },
   privateApiKey: process.env.PRIVATE_API_KEY || '',
   apiKey: process.env.API_KEY || '',
+  // Named keys with scopes; see README "API Keys"
+  apiKeysFile: process.env.API_KEYS_FILE || '',
+  // Requests per window (seconds), per client IP and per API key; 0 disables a limit
+  rateLimit: {
+    window: intEnv('RATE_LIMIT_WINDOW', 60),
+    ip: intEnv('RATE_LIMIT_IP', 120),
+    key: intEnv('RATE_LIMIT_KEY', 600),
+  },
+  // Background jobs running at once, overall and per wallet, and how many may wait (0: no limit)
+  jobs: {
+    maxRunning: intEnv('MAX_RUNNING_JOBS', 4),
+    maxPerWallet: intEnv('MAX_JOBS_PER_WALLET', 1),
+    maxQueued: intEnv('MAX_QUEUED_JOBS', 100),
+  },
+  // debug, info, warn, error or silent; json or pretty. The CLIs default to pretty, and to
+  // warn (debug with --verbose)
+  log: {
+    level: process.env.LOG_LEVEL || '',
+    format: process.env.LOG_FORMAT || '',
+  },
+  // Refuse to send when the pre-flight simulation is inconclusive, and simulate even when
+  // a request passes simulate: false
+  requireSimulation: process.env.REQUIRE_SIMULATION === 'true',
+  // Serve GET /metrics without an API key (for scrapers that cannot send x-api-key)
+  metricsPublic: process.env.METRICS_PUBLIC === 'true',
+  // Express "trust proxy" setting, so rate limits see client IPs behind a proxy
+  trustProxy: process.env.TRUST_PROXY || '',
   host: process.env.HOST || '0.0.0.0',
   port: parseInt(process.env.PORT, 10) || 3000,
+  networksFile: process.env.NETWORKS_FILE || '',
+  // Server-side wallet vault; disabled without a secret
+  vault: {
+    file: process.env.VAULT_FILE || 'data/vault.json',
+    secret: process.env.VAULT_SECRET || '',
+  },
+  // Spending policy checked before every broadcast; disabled without a file
+  policy: {
+    file: process.env.POLICY_FILE || '',
+    logFile: process.env.POLICY_LOG || 'data/policy-decisions.jsonl',
+  },
+  // Signed POSTs of job events to WEBHOOK_URL (every job) and each job's webhookUrl
+  webhooks: {
+    url: process.env.WEBHOOK_URL || '',
+    secret: process.env.WEBHOOK_SECRET || '',
+    maxAttempts: intEnv('WEBHOOK_MAX_ATTEMPTS', 5),
+    timeout: intEnv('WEBHOOK_TIMEOUT', 10),
+    // Hosts a caller's webhookUrl may point at even when they resolve to private addresses
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean),
+  },
+  jobStore: {
+    driver: process.env.JOB_STORE || 'file',
+    dir: process.env.JOB_STORE_DIR || 'data/jobs',
+  },
 };
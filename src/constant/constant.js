@@ -2,6 +2,101 @@ export const ERC20_ABI = [
   "function decimals() view returns (uint8)",
   "function balanceOf(address) view returns (uint256)",
   "function transfer(address to, uint256 value) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
 ];
 
-export const CHAIN_ID_LINEA = 59144;
\ No newline at end of file
+// Disperse (disperse.app): pays many recipients in one transaction
+export const DISPERSE_ABI = [
+  "function disperseEther(address[] recipients, uint256[] values) payable",
+  "function disperseToken(address token, address[] recipients, uint256[] values)",
+];
+
+// Aggregated sends: transfers per disperse tx and the gas a single tx may use
+export const DISPERSE_CHUNK_SIZE = 100;
+export const DISPERSE_MAX_GAS = 5000000;
+
+// Built-in networks, selectable by key with --network / "network". NETWORKS_FILE can add or override entries.
+// `disperse` is the Disperse contract used by aggregated sends on that chain.
+export const NETWORKS = {
+  linea: {
+    name: "Linea",
+    chainId: 59144,
+    rpcs: ["https://rpc.linea.build", "https://linea-rpc.publicnode.com"],
+    explorer: "https://lineascan.build",
+    nativeSymbol: "ETH",
+  },
+  "linea-sepolia": {
+    name: "Linea Sepolia",
+    chainId: 59141,
+    rpcs: ["https://rpc.sepolia.linea.build", "https://linea-sepolia-rpc.publicnode.com"],
+    explorer: "https://sepolia.lineascan.build",
+    nativeSymbol: "ETH",
+  },
+  ethereum: {
+    name: "Ethereum",
+    chainId: 1,
+    rpcs: ["https://ethereum-rpc.publicnode.com", "https://eth.llamarpc.com"],
+    explorer: "https://etherscan.io",
+    nativeSymbol: "ETH",
+    disperse: "0xD152f549545093347A162Dce210e7293f1452150",
+  },
+  sepolia: {
+    name: "Sepolia",
+    chainId: 11155111,
+    rpcs: ["https://ethereum-sepolia-rpc.publicnode.com", "https://rpc.sepolia.org"],
+    explorer: "https://sepolia.etherscan.io",
+    nativeSymbol: "ETH",
+  },
+  base: {
+    name: "Base",
+    chainId: 8453,
+    rpcs: ["https://mainnet.base.org", "https://base-rpc.publicnode.com"],
+    explorer: "https://basescan.org",
+    nativeSymbol: "ETH",
+  },
+  arbitrum: {
+    name: "Arbitrum One",
+    chainId: 42161,
+    rpcs: ["https://arb1.arbitrum.io/rpc", "https://arbitrum-one-rpc.publicnode.com"],
+    explorer: "https://arbiscan.io",
+    nativeSymbol: "ETH",
+  },
+};
+
+// Fee strategies: priorityFee is a percent of the node's suggested tip, baseFee the
+// headroom kept over the latest base fee, gasPrice the percent used on legacy chains
+export const FEE_STRATEGIES = {
+  slow: { priorityFee: 80, baseFee: 150, gasPrice: 100 },
+  normal: { priorityFee: 100, baseFee: 200, gasPrice: 110 },
+  fast: { priorityFee: 150, baseFee: 300, gasPrice: 125 },
+};
+
+// Replacements must outbid the original by at least 10%; bump by 12.5% to be safe (per mille)
+export const REPLACEMENT_FEE_BUMP = 1125n;
+
+// RPC pool: per-request timeout and how long a failing endpoint is skipped (ms)
+export const RPC_TIMEOUT = 10000;
+export const RPC_COOLDOWN = 30000;
+
+// Pipelined sends: most txs one wallet keeps unmined at once (many nodes queue at most 16 per account)
+export const MAX_IN_FLIGHT = 16;
+
+// API key scopes; "*" grants all of them and "<group>:*" a whole group
+export const API_SCOPES = [
+  "read",             // job status, events and lists, vault listing, RPC health, contract reads, wallet info
+  "batch:write",      // start, pause, resume, cancel and delete jobs
+  "sign",             // sign messages and typed data
+  "send",             // single transactions and speed-up / cancel
+  "wallets:generate", // generate new wallets
+  "wallets:manage",   // import, relabel and remove vault wallets
+  "wallets:server"    // sign with the server's own wallet
+];
+
+// Scopes of the single-secret keys: API_KEY opens the job routes, PRIVATE_API_KEY everything
+export const LEGACY_API_KEY_SCOPES = ["read", "batch:write", "wallets:generate"];
+export const LEGACY_PRIVATE_API_KEY_SCOPES = ["*"];
+
+// Spending policy: window of the daily value cap (ms) and how many decisions are kept in memory
+export const POLICY_WINDOW = 24 * 60 * 60 * 1000;
+export const POLICY_HISTORY = 1000;
@@ -1,10 +1,36 @@
 import minimist from "minimist";
 
+// Explicit caps (gwei) win over a named strategy
+function feeOption(strategy, maxFee, priorityFee) {
+  if (maxFee) {
+    return { maxFeePerGas: maxFee, maxPriorityFeePerGas: priorityFee };
+  }
+  return strategy || "normal";
+}
+
+// Wallet source for the CLIs: --keystore wins over PRIVATE_KEY, flags win over env
+export function walletSource(args, { privateKey, wallet }) {
+  return {
+    ...wallet,
+    privateKey: args.keystore ? undefined : privateKey,
+    keystore: args.keystore || wallet.keystore,
+    passwordFile: args["password-file"] || wallet.passwordFile,
+    accountIndex: args["account-index"] ?? wallet.accountIndex
+  };
+}
+
+const WALLET_HELP = `
+  Wallet (PRIVATE_KEY, or KEYSTORE_FILE / MNEMONIC in .env):
+   --keystore      : encrypted JSON keystore to sign with (password from
+                     KEYSTORE_PASSWORD, --password-file or a prompt)
+   --password-file : file holding the keystore password
+   --account-index : account to derive from a mnemonic (default 0)`;
+
 export function parseTransactionArgs() {
   const args = minimist(process.argv.slice(2), {
-    string: ["rpc", "token", "to", "min", "max", "log"],
-    boolean: ["dry-run", "yes", "verbose"],
-    default: { count: 20, min: "0.01", max: "0.5", delay: 1.0, retries: 3, log: "logs", verbose: false },
+    string: ["rpc", "network", "token", "to", "recipients", "disperse", "keystore", "password-file", "min", "max", "log", "resume", "fee", "max-fee", "priority-fee", "gas-price"],
+    boolean: ["dry-run", "yes", "verbose", "broadcast", "allow-duplicates", "aggregate"],
+    default: { count: 20, min: "0.01", max: "0.5", delay: 1.0, retries: 3, log: "logs", verbose: false, "receipt-timeout": 120, "max-replacements": 3 },
     alias: { h: "help" },
   });
 
@@ -17,36 +43,76 @@ export function parseTransactionArgs() {
 --to 0xDESTINATION_WALLET \
 --count 20 --min 0.01 --max 0.5
  
+  Pay a recipient list instead of random amounts to --to:
+ node index.js --rpc https://rpc.linea.build \
+--token 0x67454b41bAF8D29751Cc64f60E3C62B5634567A4 \
+--recipients payouts.csv
+
   Flags:
-   --dry-run    : do not broadcast transactions
+   --rpc        : RPC URL, or several comma-separated URLs to fail over between
+   --network    : network from the registry (linea, linea-sepolia, ...); supplies
+                  default RPCs and checks the RPC's chain ID
+   --broadcast  : send each signed tx to every healthy RPC in --rpc
+   --recipients : CSV (address,amount per line) or JSON file of recipients to pay;
+                  replaces --to, --count, --min and --max
+   --allow-duplicates : send to addresses listed more than once
+   --aggregate  : pack many transfers into each tx through a disperse contract
+                  (approves exactly the batch total first)
+   --disperse   : disperse contract address (default: the network's)
+   --chunk-size : max transfers per aggregated tx (default 100)
+   --max-chunk-gas : max gas per aggregated tx, chunks shrink to fit (default 5000000)
+   --dry-run    : plan, estimate gas and simulate every transfer without broadcasting
    --yes        : skip confirmation prompt
+   --in-flight  : txs sent ahead of their receipts, up to 16 (default 1)
    --delay      : seconds between txs (default 1.0)
    --retries    : max retries per tx (default 3)
+   --fee        : fee strategy: slow, normal, fast (default normal)
+   --max-fee    : explicit maxFeePerGas in gwei (overrides --fee)
+   --priority-fee : explicit maxPriorityFeePerGas in gwei (with --max-fee)
+   --gas-price  : legacy gas price in gwei (sends type-0 txs)
+   --receipt-timeout  : seconds to wait for a receipt before replacing a stuck tx (default 120)
+   --max-replacements : fee-bumped replacements per stuck tx, 0 disables (default 3)
    --log        : path prefix for log files (default logs)
-   --verbose    : enable verbose logging
+   --resume     : continue the batch recorded in a tx log file
+                  (skips transfers already confirmed on chain)
+   --verbose    : log every step to stderr (LOG_LEVEL=debug)
+${WALLET_HELP}
     `;
     console.log(helpText);
     process.exit(0);
   }
 
-  if (!args.rpc || !args.token || !args.to) {
-    console.error("Missing required flags: --rpc, --token, --to");
+  if (!args.rpc && !args.network) {
+    console.error("Missing required flag: --rpc or --network");
+    process.exit(1);
+  }
+  if (!args.resume && (!args.token || (!args.to && !args.recipients))) {
+    console.error("Missing required flags: --token, --to or --recipients");
     process.exit(1);
   }
 
   args.count = parseInt(args.count, 10);
   args.delay = parseFloat(args.delay);
   args.retries = parseInt(args.retries, 10);
+  args["receipt-timeout"] = parseFloat(args["receipt-timeout"]);
+  if (args["account-index"] != null) args["account-index"] = parseInt(args["account-index"], 10);
+  args["max-replacements"] = parseInt(args["max-replacements"], 10);
+  if (args["in-flight"] != null) args["in-flight"] = parseInt(args["in-flight"], 10);
+  if (args["chunk-size"] != null) args["chunk-size"] = parseInt(args["chunk-size"], 10);
+  if (args["max-chunk-gas"] != null) args["max-chunk-gas"] = parseInt(args["max-chunk-gas"], 10);
 
   args.min = args.min.toString();
   args.max = args.max.toString();
+  args.fee = feeOption(args.fee, args["max-fee"], args["priority-fee"]);
 
   return args;
 }
 
 export function parseInteractArgs() {
   const args = minimist(process.argv.slice(2), {
-    string: ["action", "rpc", "to", "data", "message", "value", "gasLimit", "chainId"],
+    string: ["action", "rpc", "network", "to", "data", "message", "value", "gasLimit", "gasPrice", "fee", "maxFee", "priorityFee", "chainId", "hash", "abi", "keystore", "password-file"],
+    boolean: ["broadcast", "simulate"],
+    default: { simulate: true },
     alias: { h: "help", a: "action" }
   });
   
@@ -56,6 +122,8 @@ export function parseInteractArgs() {
     sign          - Sign a message
     send-raw      - Send raw transaction with data
     wallet        - Get wallet info
+    speed-up      - Re-send a pending transaction with higher fees
+    cancel        - Replace a pending transaction with a zero-value self-transfer
   
   Examples:
     # Sign a message
@@ -70,18 +138,64 @@ export function parseInteractArgs() {
   
     # Get wallet info
     bun dapp --action wallet --rpc https://rpc.linea.build
+    bun dapp --action wallet --network linea-sepolia
+
+    # Speed up or cancel a stuck transaction
+    bun dapp --action speed-up --rpc https://rpc.linea.build --hash 0x...
+    bun dapp --action cancel --rpc https://rpc.linea.build --hash 0x...
   
   Options:
-    --action      Action to perform (sign, send-raw, wallet)
+    --action      Action to perform (sign, send-raw, wallet, speed-up, cancel)
     --message     Message to sign
-    --rpc         RPC URL
+    --rpc         RPC URL, or several comma-separated URLs to fail over between
+    --network     Network from the registry (default RPCs, chain ID check, explorer links)
+    --broadcast   Send the signed tx to every healthy RPC in --rpc
     --to          Contract address
     --data        Transaction data (hex)
     --value       ETH value to send (optional)
     --gasLimit    Gas limit (optional)
+    --fee         Fee strategy: slow, normal, fast (default normal)
+    --maxFee      Explicit maxFeePerGas in gwei (overrides --fee)
+    --priorityFee Explicit maxPriorityFeePerGas in gwei (with --maxFee)
+    --gasPrice    Legacy gas price in gwei (sends a type-0 tx)
     --chainId     Chain ID (optional)
+    --abi         JSON ABI file of the target, to decode custom errors it reverts with (optional)
+    --no-simulate Skip the eth_call before sending (the gas estimate still catches reverts)
+    --hash        Hash of the pending transaction (speed-up, cancel)
+${WALLET_HELP}
+  `);
+    process.exit(0);
+  }
+
+  args.fee = feeOption(args.fee, args.maxFee, args.priorityFee);
+  if (args["account-index"] != null) args["account-index"] = parseInt(args["account-index"], 10);
+  return args;
+}
+export function parseClientArgs() {
+  const args = minimist(process.argv.slice(2), {
+    string: ["url", "spec", "out"],
+    default: { url: "http://localhost:3000", out: "client/index.js" },
+    alias: { h: "help" }
+  });
+
+  if (args.help) {
+    console.log(`
+  Generates the JS client of the HTTP API from its OpenAPI document.
+
+  Examples:
+    # From a running server
+    bun generate:client --url http://localhost:3000
+
+    # From a saved document
+    bun generate:client --spec openapi.json --out src/linea20-client.js
+
+  Options:
+    --url   Server to fetch /openapi.json from (default http://localhost:3000)
+    --spec  OpenAPI document file to read instead of --url
+    --out   File to write the client module to (default client/index.js)
   `);
     process.exit(0);
   }
+
   return args;
-}
\ No newline at end of file
+}
@@ -0,0 +1,137 @@
+import fs from "fs";
+import crypto from "crypto";
+import { ethers } from "ethers";
+import { RequestError } from "./errors.js";
+import { API_SCOPES, LEGACY_API_KEY_SCOPES, LEGACY_PRIVATE_API_KEY_SCOPES } from "../constant/constant.js";
+
+// Keys are compared as SHA-256 digests, so timingSafeEqual always gets equal lengths
+const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+function validScope(scope) {
+  if (scope === "*" || API_SCOPES.includes(scope)) return true;
+  return scope.endsWith(":*") && API_SCOPES.some((known) => known.startsWith(scope.slice(0, -1)));
+}
+
+export function hasScope(apiKey, scope) {
+  const group = scope.includes(":") ? `${scope.split(":")[0]}:*` : null;
+  return Boolean(apiKey?.scopes.some((granted) => granted === "*" || granted === scope || granted === group));
+}
+
+// Named API keys: `apiKeysFile` is a JSON file of name -> { key, scopes, wallets?, networks?, rateLimit? };
+// API_KEY and PRIVATE_API_KEY, when set, become the keys "default" and "private"
+export function loadApiKeys({ apiKey, privateApiKey, apiKeysFile }) {
+  const entries = apiKeysFile ? JSON.parse(fs.readFileSync(apiKeysFile, "utf8")) : {};
+  for (const [name, key, scopes] of [["default", apiKey, LEGACY_API_KEY_SCOPES], ["private", privateApiKey, LEGACY_PRIVATE_API_KEY_SCOPES]]) {
+    if (!key) continue;
+    if (entries[name]) {
+      throw new Error(`API key ${name} is set both in ${apiKeysFile} and in the environment`);
+    }
+    entries[name] = { key, scopes };
+  }
+
+  const keys = [];
+  for (const [name, { key, scopes = [], wallets, networks, rateLimit }] of Object.entries(entries)) {
+    if (!key) {
+      throw new Error(`API key ${name} has no key`);
+    }
+    const unknown = scopes.filter((scope) => !validScope(scope));
+    if (unknown.length > 0) {
+      throw new Error(`API key ${name} has unknown scopes: ${unknown.join(", ")} (expected ${API_SCOPES.join(", ")} or *)`);
+    }
+    if (rateLimit != null && !(Number.isInteger(rateLimit) && rateLimit >= 0)) {
+      throw new Error(`API key ${name} has an invalid rateLimit: ${rateLimit}`);
+    }
+    if (keys.some((other) => other.key === key)) {
+      throw new Error(`API key ${name} reuses the key of another entry`);
+    }
+    keys.push({
+      name,
+      key,
+      scopes,
+      // Wallet IDs and addresses, both matched case-insensitively
+      wallets: wallets ? wallets.map((wallet) => wallet.toLowerCase()) : null,
+      networks: networks || null,
+      // Requests per rate-limit window, instead of the server-wide per-key limit
+      rateLimit: rateLimit ?? null
+    });
+  }
+  return keys;
+}
+
+// Express middleware for API keys sent in `x-api-key`. A key that matches sets `req.apiKey`
+// (its name, scopes and limits, never the key itself).
+export function createAuth(keys) {
+  const digests = keys.map(({ key }) => digest(key));
+
+  // The key entry for `presented`, without the key itself, or null
+  const identify = (presented) => {
+    if (!presented) return null;
+    const candidate = digest(presented);
+    let match = null;
+    // Every key is compared, so the response time does not tell which one was close
+    digests.forEach((known, i) => {
+      if (crypto.timingSafeEqual(candidate, known) && !match) match = keys[i];
+    });
+    if (!match) return null;
+    const { key, ...apiKey } = match;
+    return apiKey;
+  };
+
+  return {
+    identify,
+
+    requireScope: (scope) => (req, res, next) => {
+      if (keys.length === 0) {
+        return res.status(500).json({ error: "No API keys configured on server: set API_KEY, PRIVATE_API_KEY or API_KEYS_FILE" });
+      }
+
+      const apiKey = identify(req.headers["x-api-key"]);
+      if (!apiKey) {
+        return res.status(401).json({ error: "Unauthorized: Invalid or missing API key" });
+      }
+
+      req.apiKey = apiKey;
+      if (!hasScope(apiKey, scope)) {
+        return res.status(403).json({ error: `API key ${apiKey.name} lacks the ${scope} scope`, missingScope: scope });
+      }
+      next();
+    }
+  };
+}
+
+// Throws a 403 unless the key may use this network. A key limited to networks must name
+// one, since a bare RPC could point at any chain.
+export function checkNetwork(apiKey, network) {
+  if (!apiKey?.networks) return;
+  if (!network) {
+    throw new RequestError(`API key ${apiKey.name} is limited to networks ${apiKey.networks.join(", ")}; pass network`, 403);
+  }
+  if (!apiKey.networks.includes(network)) {
+    throw new RequestError(`API key ${apiKey.name} may not use network ${network}`, 403);
+  }
+}
+
+// Throws a 403 unless the key may sign with this wallet, listed by vault ID or by address
+export function checkWallet(apiKey, { walletId, privateKey }) {
+  if (!apiKey?.wallets) return;
+  let address;
+  try {
+    address = ethers.computeAddress(privateKey);
+  } catch (err) {
+    throw new RequestError("Invalid private key");
+  }
+  if (!apiKey.wallets.includes(address.toLowerCase()) && !(walletId && apiKey.wallets.includes(walletId.toLowerCase()))) {
+    throw new RequestError(`API key ${apiKey.name} may not use wallet ${walletId || address}`, 403);
+  }
+}
+
+// Whether the key may see and control a job. Keys limited to wallets or networks only get
+// the jobs they could have started themselves.
+export function canAccessJob(apiKey, job) {
+  const { walletId, network } = job.config || {};
+  if (apiKey?.wallets) {
+    const wallet = String(job.wallet).toLowerCase();
+    if (!apiKey.wallets.includes(wallet) && !(walletId && apiKey.wallets.includes(walletId.toLowerCase()))) return false;
+  }
+  return !apiKey?.networks || apiKey.networks.includes(network);
+}
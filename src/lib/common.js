@@ -22,4 +22,33 @@ export async function confirmPrompt(summaryText, verbose = false) {
       resolve(String(data || "").trim() === "y");
     });
   });
-}
\ No newline at end of file
+}
+
+// Reads a line without echoing it (passwords). Resolves with null when stdin is not a terminal.
+export async function secretPrompt(question) {
+  if (!process.stdin.isTTY) return null;
+
+  process.stdout.write(question);
+  process.stdin.setRawMode(true);
+  process.stdin.setEncoding("utf8");
+  process.stdin.resume();
+
+  return new Promise((resolve) => {
+    let input = "";
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\u0003") process.exit(130); // Ctrl+C
+        if (char === "\r" || char === "\n") {
+          process.stdin.setRawMode(false);
+          process.stdin.pause();
+          process.stdin.off("data", onData);
+          process.stdout.write("\n");
+          resolve(input);
+          return;
+        }
+        input = char === "\u007f" ? input.slice(0, -1) : input + char;
+      }
+    };
+    process.stdin.on("data", onData);
+  });
+}
@@ -0,0 +1,74 @@
+// Pause/resume/cancel switch shared between the HTTP layer and the batch loops.
+// Loops call checkpoint() between transactions and sleep() for delays/backoff,
+// so a job only ever stops at a transaction boundary.
+export function createJobControl() {
+  let status = "running";
+  let resumeWaiters = [];
+  let cancelWaiters = [];
+
+  const wake = (waiters) => {
+    for (const resolve of waiters) resolve();
+    return [];
+  };
+
+  const control = {
+    get status() {
+      return status;
+    },
+
+    get cancelled() {
+      return status === "cancelled";
+    },
+
+    get paused() {
+      return status === "paused";
+    },
+
+    pause() {
+      if (status !== "running") return false;
+      status = "paused";
+      return true;
+    },
+
+    resume() {
+      if (status !== "paused") return false;
+      status = "running";
+      resumeWaiters = wake(resumeWaiters);
+      return true;
+    },
+
+    cancel() {
+      if (status === "cancelled") return false;
+      status = "cancelled";
+      resumeWaiters = wake(resumeWaiters);
+      cancelWaiters = wake(cancelWaiters);
+      return true;
+    },
+
+    // Blocks while paused; resolves to true when the job has been cancelled
+    async checkpoint() {
+      while (status === "paused") {
+        await new Promise((resolve) => resumeWaiters.push(resolve));
+      }
+      return status === "cancelled";
+    },
+
+    // Like sleep() but returns early on cancel and holds while paused
+    async sleep(ms) {
+      if (status !== "cancelled" && ms > 0) {
+        await new Promise((resolve) => {
+          const done = () => {
+            clearTimeout(timer);
+            cancelWaiters = cancelWaiters.filter((waiter) => waiter !== done);
+            resolve();
+          };
+          const timer = setTimeout(done, ms);
+          cancelWaiters.push(done);
+        });
+      }
+      return control.checkpoint();
+    }
+  };
+
+  return control;
+}
@@ -0,0 +1,44 @@
+import { ethers } from "ethers";
+import { DISPERSE_ABI, DISPERSE_MAX_GAS } from "../constant/constant.js";
+
+// Disperse contract for the chain: an explicit address wins over the network registry
+export async function disperseContract(runner, chain, address) {
+  const target = address || chain?.disperse;
+  if (!target) {
+    throw new Error(`No disperse contract configured for ${chain ? chain.name : "this chain"}; pass a disperse address or add one to NETWORKS_FILE`);
+  }
+
+  const checksummed = ethers.getAddress(target);
+  if ((await runner.provider.getCode(checksummed)) === "0x") {
+    throw new Error(`No contract deployed at disperse address ${checksummed}`);
+  }
+  return new ethers.Contract(checksummed, DISPERSE_ABI, runner);
+}
+
+// Next chunk of `items` from `start`, at most `size` long. The chunk is halved until its
+// gas estimate fits in `maxGas`; a single item is returned (or its estimate error thrown) as-is.
+export async function nextChunk(items, start, size, estimate, maxGas = DISPERSE_MAX_GAS) {
+  let count = Math.min(size, items.length - start);
+
+  for (;;) {
+    const chunk = items.slice(start, start + count);
+    try {
+      const gas = await estimate(chunk);
+      if (gas <= BigInt(maxGas) || count === 1) return { chunk, gas };
+    } catch (err) {
+      if (count === 1) throw err;
+    }
+    count = Math.ceil(count / 2);
+  }
+}
+
+// Size for the next chunk, from the gas the last one needed per transfer
+export function adaptChunkSize(chunkSize, { chunk, gas }, maxGas = DISPERSE_MAX_GAS) {
+  const perTransfer = Number(gas) / chunk.length;
+  return Math.max(1, Math.min(chunkSize, Math.floor(maxGas / perTransfer)));
+}
+
+// Gas limit for a disperse tx: 20% over its estimate, since later chunks may touch fresh storage
+export function chunkGasLimit(gas) {
+  return (gas * 120n) / 100n;
+}
@@ -0,0 +1,38 @@
+// Error with an HTTP status, so route handlers can answer with more than a generic 500
+export class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+  }
+}
+
+// A transaction refused by the spending policy; `decision` is the recorded decision
+export class PolicyViolation extends RequestError {
+  constructor(decision) {
+    super(`Policy violation (${decision.rule}): ${decision.reason}`, 403);
+    this.name = "PolicyViolation";
+    this.rule = decision.rule;
+    this.decision = decision;
+  }
+}
+
+// A transaction whose pre-flight eth_call reverted; `revert` is the decoded revert
+// ({ reason, error, data }) and the tx was never sent
+export class SimulationError extends RequestError {
+  constructor(revert) {
+    super(`Simulation reverted: ${revert.reason}`, 422);
+    this.name = "SimulationError";
+    this.revert = revert;
+  }
+}
+
+// A broadcast tx whose fate could not be checked because the node was unreachable. It must
+// not be sent again, so senders give up on it instead of retrying.
+export class PendingTransactionError extends Error {
+  constructor(hash) {
+    super(`tx ${hash} was broadcast, but the node could not be reached to check it; it will not be sent again`);
+    this.name = "PendingTransactionError";
+    this.hash = hash;
+  }
+}
@@ -0,0 +1,17 @@
+import { EventEmitter } from "events";
+
+// In-process bus for job lifecycle events, keyed by jobId
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Events after which a job emits nothing more
+export const TERMINAL_EVENTS = ["complete", "failed"];
+
+export function publishJobEvent(jobId, type, data = {}) {
+  bus.emit(jobId, { type, jobId, timestamp: Date.now(), data });
+}
+
+export function subscribeJobEvents(jobId, listener) {
+  bus.on(jobId, listener);
+  return () => bus.off(jobId, listener);
+}
@@ -0,0 +1,61 @@
+import { ethers } from "ethers";
+import { FEE_STRATEGIES } from "../constant/constant.js";
+
+const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+
+// Turns a fee option into the fee fields of a tx request.
+// `fee` is a strategy name (slow, normal, fast) or explicit caps in gwei:
+// { maxFeePerGas, maxPriorityFeePerGas }. A `gasPrice` in gwei forces a legacy tx.
+export async function resolveFees(provider, { fee = "normal", gasPrice } = {}) {
+  if (gasPrice) {
+    return { type: 0, gasPrice: gwei(gasPrice) };
+  }
+
+  const feeData = await provider.getFeeData();
+
+  if (fee && typeof fee === "object") {
+    if (!fee.maxFeePerGas) {
+      throw new Error("fee.maxFeePerGas is required when passing explicit fee caps");
+    }
+
+    const maxFeePerGas = gwei(fee.maxFeePerGas);
+    let maxPriorityFeePerGas = fee.maxPriorityFeePerGas != null
+      ? gwei(fee.maxPriorityFeePerGas)
+      : (feeData.maxPriorityFeePerGas ?? 0n);
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  const strategy = FEE_STRATEGIES[fee];
+  if (!strategy) {
+    throw new Error(`Unknown fee strategy: ${fee} (expected ${Object.keys(FEE_STRATEGIES).join(", ")})`);
+  }
+
+  // Chains without EIP-1559 only report a gasPrice
+  if (feeData.maxFeePerGas == null) {
+    const base = feeData.gasPrice || gwei("1");
+    return { type: 0, gasPrice: (base * BigInt(strategy.gasPrice)) / 100n };
+  }
+
+  // ethers suggests maxFee = 2 * baseFee + tip, so the base fee can be recovered from it
+  const baseFee = (feeData.maxFeePerGas - feeData.maxPriorityFeePerGas) / 2n;
+  const maxPriorityFeePerGas = (feeData.maxPriorityFeePerGas * BigInt(strategy.priorityFee)) / 100n;
+  const maxFeePerGas = (baseFee * BigInt(strategy.baseFee)) / 100n + maxPriorityFeePerGas;
+
+  return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+}
+
+// Highest price per gas a tx with these fee fields can pay
+export function maxGasPrice(fees) {
+  return fees.maxFeePerGas ?? fees.gasPrice;
+}
+
+// What a mined tx actually paid
+export function feePaid(receipt) {
+  return {
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice.toString(),
+    fee: ethers.formatEther(receipt.fee)
+  };
+}
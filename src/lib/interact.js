@@ -1,36 +1,17 @@
 import { ethers } from "ethers";
-
-// Nonce management to prevent concurrent transaction conflicts
-const nonceTracker = new Map(); // Map of address -> { nonce, promise }
-
-async function getNextNonce(provider, address) {
-  const key = address.toLowerCase();
-  
-  if (!nonceTracker.has(key)) {
-    const nonce = await provider.getTransactionCount(address, "pending");
-    nonceTracker.set(key, { nonce, promise: Promise.resolve() });
-    return nonce;
-  }
-
-  const tracker = nonceTracker.get(key);
-  
-  // Wait for any pending nonce allocation
-  await tracker.promise;
-  
-  // Allocate the next nonce
-  const currentNonce = tracker.nonce;
-  tracker.nonce++;
-  
-  return currentNonce;
-}
-
-function releaseNonce(address) {
-  // Clean up after some time to prevent memory leaks
-  const key = address.toLowerCase();
-  setTimeout(() => {
-    nonceTracker.delete(key);
-  }, 60000); // Clear after 1 minute
-}
+import { createJobControl } from "./control.js";
+import { resolveFees } from "./fees.js";
+import { withNonce } from "./nonce.js";
+import { settleTransaction, receiptFields, replaceTransaction } from "./receipt.js";
+import { RequestError, PolicyViolation, SimulationError } from "./errors.js";
+import { connectNetwork, explorerTxUrl } from "./networks.js";
+import { disperseContract, nextChunk, adaptChunkSize, chunkGasLimit } from "./disperse.js";
+import { runPipeline } from "./pipeline.js";
+import { sendWithPolicy } from "./policy.js";
+import { preflight } from "./simulate.js";
+import { transactionMetrics } from "./metrics.js";
+import { logger as rootLogger } from "./logger.js";
+import { DISPERSE_CHUNK_SIZE, DISPERSE_MAX_GAS } from "../constant/constant.js";
 
 export async function signMessage(config) {
   const { privateKey, message } = config;
@@ -66,9 +47,9 @@ export async function signTypedData(config) {
 }
 
 export async function callContract(config) {
-  const { rpc, contract, abi, method, params = [] } = config;
+  const { rpc, network, contract, abi, method, params = [] } = config;
 
-  const provider = new ethers.JsonRpcProvider(rpc);
+  const { provider } = await connectNetwork({ network, rpc });
   const contractInstance = new ethers.Contract(contract, abi, provider);
 
   const result = await contractInstance[method](...params);
@@ -79,44 +60,57 @@ export async function sendTransaction(config) {
   const {
     privateKey,
     rpc,
+    network, // Optional: registry key, supplies default RPCs and checks the chainId
     contract,
     abi,
     method,
     params = [],
     value = "0",
     gasLimit,
-    gasPrice
+    gasPrice,
+    fee = "normal",
+    receiptTimeout, // Seconds before a pending tx is replaced with a fee-bumped copy
+    maxReplacements,
+    broadcast = false, // Send signed txs to several of the `rpc` endpoints at once
+    simulate = true, // eth_call the tx first; a revert is reported instead of sent
+    requireSimulation = false, // Also refuse to send when the simulation is inconclusive
+    logger = rootLogger
   } = config;
 
   if (!privateKey) {
     throw new Error("PRIVATE_KEY is required");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpc);
+  const { provider, network: chain, chainId } = await connectNetwork({ network, rpc, broadcast });
   const wallet = new ethers.Wallet(privateKey, provider);
   const contractInstance = new ethers.Contract(contract, abi, wallet);
 
-  const txOptions = {};
+  const txOptions = await resolveFees(provider, { fee, gasPrice });
   if (value && value !== "0") {
     txOptions.value = ethers.parseEther(value);
   }
   if (gasLimit) {
     txOptions.gasLimit = BigInt(gasLimit);
   }
-  if (gasPrice) {
-    txOptions.gasPrice = ethers.parseUnits(gasPrice, "gwei");
-  }
 
-  const tx = await contractInstance[method](...params, txOptions);
-  const receipt = await tx.wait();
+  const txRequest = await contractInstance[method].populateTransaction(...params, txOptions);
+  const simulation = await preflight(provider, txRequest, { from: wallet.address, abi, simulate, required: requireSimulation, logger });
+  const tx = await withNonce(provider, wallet.address, (nonce) =>
+    sendWithPolicy(wallet, { ...txRequest, nonce })
+  );
+  const metrics = transactionMetrics(chain);
+  const { receipt, hash, replaced } = await settleTransaction(provider, wallet, tx, { receiptTimeout, maxReplacements, metrics, logger });
 
   return {
-    hash: tx.hash,
+    hash,
+    nonce: tx.nonce,
     from: wallet.address,
     to: contract,
-    blockNumber: receipt.blockNumber,
-    status: receipt.status,
-    gasUsed: receipt.gasUsed.toString()
+    replaced,
+    simulation,
+    rpc: provider.servedBy(hash),
+    explorerUrl: explorerTxUrl(chain, hash),
+    ...receiptFields(receipt)
   };
 }
 
@@ -124,75 +118,217 @@ export async function sendRawTransaction(config) {
   const {
     privateKey,
     rpc,
+    network,
     to,
     data,
     value = "0",
     gasLimit,
-    chainId
+    gasPrice,
+    fee = "normal",
+    receiptTimeout,
+    maxReplacements,
+    broadcast = false,
+    chainId,
+    abi, // Optional: ABI of the target, to decode custom errors the simulation reverts with
+    simulate = true,
+    requireSimulation = false,
+    logger = rootLogger
   } = config;
 
   if (!privateKey) {
     throw new Error("PRIVATE_KEY is required");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpc);
+  const { provider, network: chain } = await connectNetwork({ network, rpc, broadcast });
   const wallet = new ethers.Wallet(privateKey, provider);
 
-  const feeData = await provider.getFeeData();
+  const fees = await resolveFees(provider, { fee, gasPrice });
   
   const txRequest = {
     to,
     data,
     value: value !== "0" ? ethers.parseEther(value) : 0n,
     gasLimit: gasLimit ? BigInt(gasLimit) : undefined,
-    gasPrice: feeData.gasPrice,
+    ...fees,
     chainId: chainId || (await provider.getNetwork()).chainId
   };
 
-  if (!gasLimit) {
-    try {
-      const estimated = await provider.estimateGas(txRequest);
-      txRequest.gasLimit = estimated;
-    } catch (e) {
-      txRequest.gasLimit = 200000n;
-    }
-  }
+  const simulation = await preflight(provider, txRequest, { from: wallet.address, abi, simulate, required: requireSimulation, logger });
 
-  const tx = await wallet.sendTransaction(txRequest);
-  const receipt = await tx.wait();
+  const tx = await withNonce(provider, wallet.address, (nonce) =>
+    sendWithPolicy(wallet, { ...txRequest, nonce })
+  );
+  const metrics = transactionMetrics(chain);
+  const { receipt, hash, replaced } = await settleTransaction(provider, wallet, tx, { receiptTimeout, maxReplacements, metrics, logger });
 
   return {
-    hash: tx.hash,
+    hash,
+    nonce: tx.nonce,
     from: wallet.address,
     to,
-    blockNumber: receipt.blockNumber,
-    status: receipt.status,
-    gasUsed: receipt.gasUsed.toString()
+    replaced,
+    simulation,
+    rpc: provider.servedBy(hash),
+    explorerUrl: explorerTxUrl(chain, hash),
+    ...receiptFields(receipt)
   };
 }
 
 export async function getWalletInfo(config) {
-  const { privateKey, rpc } = config;
+  const { privateKey, rpc, network } = config;
 
   if (!privateKey) {
     throw new Error("PRIVATE_KEY is required");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpc);
+  const { provider, network: chain, chainId } = await connectNetwork({ network, rpc });
   const wallet = new ethers.Wallet(privateKey, provider);
   
   const address = wallet.address;
   const balance = await provider.getBalance(address);
   const nonce = await provider.getTransactionCount(address);
-  const network = await provider.getNetwork();
 
   return {
     address,
     balance: ethers.formatEther(balance),
     balanceWei: balance.toString(),
+    symbol: chain?.nativeSymbol || "ETH",
     nonce,
-    chainId: Number(network.chainId),
-    network: network.name
+    chainId: Number(chainId),
+    network: chain?.name || "unknown",
+    explorer: chain?.explorer ? `${chain.explorer}/address/${address}` : null
+  };
+}
+
+// Batch of ETH transfers packed into disperseEther calls. Every transfer of a chunk
+// shares its tx: one result per recipient, one entry per tx in `chunks`.
+async function disperseEthBatch(wallet, chain, transactions, options, callbacks) {
+  const { disperse, chunkSize, maxChunkGas, delay, retries, fee, gasPrice, receiptTimeout, maxReplacements, metrics, logger } = options;
+  const { onProgress, onRetry, onFailure, control } = callbacks;
+  const provider = wallet.provider;
+  const disperser = await disperseContract(wallet, chain, disperse);
+
+  const items = transactions.map((tx, i) => ({ index: i + 1, to: tx.to, amount: tx.amount, value: ethers.parseEther(tx.amount) }));
+  const sum = (chunk) => chunk.reduce((total, { value }) => total + value, 0n);
+  const estimate = (chunk) => disperser.disperseEther.estimateGas(chunk.map(({ to }) => to), chunk.map(({ value }) => value), { value: sum(chunk) });
+
+  const results = [];
+  const failed = [];
+  const chunks = [];
+  const total = items.length;
+  let stoppedAt = null;
+  let size = chunkSize;
+
+  for (let position = 0; position < items.length; ) {
+    if (await control.checkpoint()) {
+      stoppedAt = items[position].index;
+      break;
+    }
+
+    let attempt = 0;
+    let success = false;
+    let chunk = items.slice(position, position + 1);
+
+    while (attempt < retries && !success) {
+      attempt++;
+      try {
+        const next = await nextChunk(items, position, size, estimate, maxChunkGas);
+        chunk = next.chunk;
+        const fees = await resolveFees(provider, { fee, gasPrice });
+
+        const sentTx = await withNonce(provider, wallet.address, (nonce) =>
+          sendWithPolicy(wallet, {
+            to: disperser.target,
+            data: disperser.interface.encodeFunctionData("disperseEther", [chunk.map(({ to }) => to), chunk.map(({ value }) => value)]),
+            value: sum(chunk),
+            gasLimit: chunkGasLimit(next.gas),
+            nonce,
+            ...fees
+          })
+        );
+
+        const { receipt, hash, replaced } = await settleTransaction(provider, wallet, sentTx, {
+          receiptTimeout,
+          maxReplacements,
+          metrics,
+          logger: logger.child({ chunk: chunks.length + 1, txIndexes: chunk.map(({ index }) => index) })
+        });
+
+        const chunkResult = {
+          chunk: chunks.length + 1,
+          indexes: chunk.map(({ index }) => index),
+          hash,
+          nonce: sentTx.nonce,
+          amount: ethers.formatEther(sum(chunk)),
+          replaced,
+          rpc: provider.servedBy(hash),
+          explorerUrl: explorerTxUrl(chain, hash),
+          ...receiptFields(receipt)
+        };
+        chunks.push(chunkResult);
+
+        for (const item of chunk) {
+          const result = {
+            index: item.index,
+            chunk: chunkResult.chunk,
+            hash,
+            from: wallet.address,
+            to: item.to,
+            amount: item.amount,
+            status: chunkResult.status,
+            blockNumber: chunkResult.blockNumber,
+            explorerUrl: chunkResult.explorerUrl
+          };
+          results.push(result);
+          if (onProgress) onProgress({ completed: item.index, total, transaction: result });
+        }
+
+        success = true;
+        position += chunk.length;
+        size = adaptChunkSize(chunkSize, next, maxChunkGas);
+
+        if (delay > 0 && position < items.length) {
+          await control.sleep(delay * 1000);
+        }
+
+      } catch (err) {
+        if (attempt >= retries || err instanceof PolicyViolation) {
+          metrics.failed();
+          logger.error("Giving up on disperse", { txIndexes: chunk.map(({ index }) => index), attempt, error: err });
+          for (const item of chunk) {
+            const failedTx = { index: item.index, to: item.to, amount: item.amount, error: err.message };
+            failed.push(failedTx);
+            if (onFailure) onFailure({ transaction: failedTx });
+          }
+          position += chunk.length;
+          break;
+        }
+
+        metrics.retried();
+        const backoff = Math.min(2000 * attempt, 10000);
+        logger.warn("Disperse failed, retrying", { txIndex: items[position].index, attempt, backoffMs: backoff, error: err });
+        if (onRetry) onRetry({ index: items[position].index, attempt, error: err.message, backoff });
+        if (await control.sleep(backoff)) break;
+      }
+    }
+
+    if (!success && control.cancelled) {
+      stoppedAt = items[position]?.index ?? null;
+      break;
+    }
+  }
+
+  return {
+    success: failed.length === 0 && stoppedAt === null,
+    cancelled: stoppedAt !== null,
+    stoppedAt,
+    total,
+    successful: results.length,
+    failed: failed.length,
+    disperse: disperser.target,
+    results,
+    chunks,
+    failedTransactions: failed
   };
 }
 
@@ -200,89 +336,123 @@ export async function sendEth(config, callbacks = {}) {
   const {
     privateKey,
     rpc,
+    network,
     to,
     amount,
     transactions, // Optional: array of {to, amount} for batch
     delay = 0,
-    retries = 3
+    retries = 3,
+    fee = "normal",
+    gasPrice,
+    receiptTimeout,
+    maxReplacements,
+    broadcast = false,
+    inFlight = 1, // Batch only: txs sent ahead of their receipts
+    aggregate = false, // Batch only: pack the transfers into disperseEther calls
+    disperse, // Optional: disperse contract address, defaults to the network's
+    chunkSize = DISPERSE_CHUNK_SIZE,
+    maxChunkGas = DISPERSE_MAX_GAS,
+    logger = rootLogger
   } = config;
 
-  const { onProgress } = callbacks;
+  // `onFailure` is called for every transfer given up after its last retry
+  const { onProgress, onRetry, onFailure, control = createJobControl() } = callbacks;
 
   if (!privateKey) {
     throw new Error("PRIVATE_KEY is required");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpc);
+  const { provider, network: chain } = await connectNetwork({ network, rpc, broadcast });
   const wallet = new ethers.Wallet(privateKey, provider);
+  const metrics = transactionMetrics(chain);
+
+  if (transactions && Array.isArray(transactions) && aggregate) {
+    return disperseEthBatch(wallet, chain, transactions, {
+      disperse, chunkSize, maxChunkGas, delay, retries, fee, gasPrice, receiptTimeout, maxReplacements, metrics, logger
+    }, { onProgress, onRetry, onFailure, control });
+  }
 
   if (transactions && Array.isArray(transactions)) {
     const results = [];
     const failed = [];
     const total = transactions.length;
+    let finished = 0;
 
-    for (let i = 0; i < transactions.length; i++) {
-      const tx = transactions[i];
+    const items = transactions.map((tx, i) => ({ ...tx, index: i + 1 }));
+    const stopped = await runPipeline(items, async (tx, sent) => {
       let attempt = 0;
-      let success = false;
-
-      while (attempt < retries && !success) {
+      while (attempt < retries) {
         attempt++;
         try {
-          const nonce = await getNextNonce(provider, wallet.address);
-          const feeData = await provider.getFeeData();
-          const gasPrice = feeData.gasPrice ? (feeData.gasPrice * 120n) / 100n : undefined;
+          const fees = await resolveFees(provider, { fee, gasPrice });
 
-          const sentTx = await wallet.sendTransaction({
-            to: tx.to,
-            value: ethers.parseEther(tx.amount),
-            nonce,
-            gasPrice
+          const sentTx = await withNonce(provider, wallet.address, (nonce) =>
+            sendWithPolicy(wallet, {
+              to: tx.to,
+              value: ethers.parseEther(tx.amount),
+              nonce,
+              ...fees
+            })
+          );
+          sent();
+
+          const { receipt, hash, replaced } = await settleTransaction(provider, wallet, sentTx, {
+            receiptTimeout,
+            maxReplacements,
+            metrics,
+            logger: logger.child({ txIndex: tx.index })
           });
 
-          const receipt = await sentTx.wait();
-
           const result = {
-            index: i + 1,
-            hash: sentTx.hash,
+            index: tx.index,
+            hash,
+            nonce: sentTx.nonce,
             from: wallet.address,
             to: tx.to,
             amount: tx.amount,
-            blockNumber: receipt.blockNumber,
-            status: receipt.status,
-            gasUsed: receipt.gasUsed.toString()
+            replaced,
+            rpc: provider.servedBy(hash),
+            explorerUrl: explorerTxUrl(chain, hash),
+            ...receiptFields(receipt)
           };
 
           results.push(result);
-          success = true;
-
-          if (onProgress) onProgress({ completed: i + 1, total, transaction: result });
 
-          if (delay > 0 && i < transactions.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, delay * 1000));
-          }
+          if (onProgress) onProgress({ completed: ++finished, total, transaction: result });
+          return true;
 
         } catch (err) {
-          if (attempt >= retries) {
-            failed.push({
-              index: i + 1,
+          if (attempt >= retries || err instanceof PolicyViolation) {
+            metrics.failed();
+            logger.error("Giving up on transfer", { txIndex: tx.index, attempt, error: err });
+            const failedTx = {
+              index: tx.index,
               to: tx.to,
               amount: tx.amount,
               error: err.message
-            });
-            break;
+            };
+            failed.push(failedTx);
+            if (onFailure) onFailure({ transaction: failedTx });
+            return true;
           }
 
+          metrics.retried();
           const backoff = Math.min(2000 * attempt, 10000);
-          await new Promise(resolve => setTimeout(resolve, backoff));
+          logger.warn("Transfer failed, retrying", { txIndex: tx.index, attempt, backoffMs: backoff, error: err });
+          if (onRetry) onRetry({ index: tx.index, attempt, error: err.message, backoff });
+          if (await control.sleep(backoff)) return false;
         }
       }
-    }
+    }, { inFlight, delay, control, wallet, fee, gasPrice });
+    const stoppedAt = stopped ? stopped.index : null;
 
-    releaseNonce(wallet.address);
+    results.sort((a, b) => a.index - b.index);
+    failed.sort((a, b) => a.index - b.index);
 
     return {
-      success: failed.length === 0,
+      success: failed.length === 0 && stoppedAt === null,
+      cancelled: stoppedAt !== null,
+      stoppedAt,
       total,
       successful: results.length,
       failed: failed.length,
@@ -294,41 +464,49 @@ export async function sendEth(config, callbacks = {}) {
   // Handle single transaction
   let attempt = 0;
   while (attempt < retries) {
+    if (await control.checkpoint()) {
+      return { cancelled: true, from: wallet.address, to, amount };
+    }
+
     attempt++;
     try {
-      const nonce = await getNextNonce(provider, wallet.address);
-      const feeData = await provider.getFeeData();
-      const gasPrice = feeData.gasPrice ? (feeData.gasPrice * 120n) / 100n : undefined;
-
-      const tx = await wallet.sendTransaction({
-        to,
-        value: ethers.parseEther(amount),
-        nonce,
-        gasPrice
-      });
+      const fees = await resolveFees(provider, { fee, gasPrice });
 
-      const receipt = await tx.wait();
+      const tx = await withNonce(provider, wallet.address, (nonce) =>
+        sendWithPolicy(wallet, {
+          to,
+          value: ethers.parseEther(amount),
+          nonce,
+          ...fees
+        })
+      );
 
-      releaseNonce(wallet.address);
+      const { receipt, hash, replaced } = await settleTransaction(provider, wallet, tx, { receiptTimeout, maxReplacements, metrics, logger });
 
       return {
-        hash: tx.hash,
+        hash,
+        nonce: tx.nonce,
         from: wallet.address,
         to,
         amount,
-        blockNumber: receipt.blockNumber,
-        status: receipt.status,
-        gasUsed: receipt.gasUsed.toString()
+        replaced,
+        rpc: provider.servedBy(hash),
+        explorerUrl: explorerTxUrl(chain, hash),
+        ...receiptFields(receipt)
       };
 
     } catch (err) {
-      if (attempt >= retries) {
-        releaseNonce(wallet.address);
+      if (attempt >= retries || err instanceof PolicyViolation) {
+        metrics.failed();
+        logger.error("Giving up on transfer", { attempt, error: err });
         throw err;
       }
 
+      metrics.retried();
       const backoff = Math.min(2000 * attempt, 10000);
-      await new Promise(resolve => setTimeout(resolve, backoff));
+      logger.warn("Transfer failed, retrying", { attempt, backoffMs: backoff, error: err });
+      if (onRetry) onRetry({ index: 1, attempt, error: err.message, backoff });
+      await control.sleep(backoff);
     }
   }
 }
@@ -337,15 +515,25 @@ export async function batchSendRawTransactions(config, callbacks = {}) {
   const {
     privateKey,
     rpc,
+    network,
     transactions,
     delay = 1.0,
     retries = 3,
     gasLimit,
     gasPrice,
-    verbose = false
+    fee = "normal",
+    receiptTimeout,
+    maxReplacements,
+    broadcast = false,
+    inFlight = 1, // Txs sent ahead of their receipts; 1 waits for every receipt
+    abi, // Optional: ABI for decoding reverts, overridden by a tx's own `abi`
+    simulate = true,
+    requireSimulation = false,
+    logger = rootLogger
   } = config;
 
-  const { onProgress, onComplete, onError } = callbacks;
+  // `onFailure` is called for every tx given up after its last retry
+  const { onProgress, onComplete, onError, onRetry, onFailure, control = createJobControl() } = callbacks;
 
   if (!privateKey) {
     throw new Error("PRIVATE_KEY is required");
@@ -355,121 +543,127 @@ export async function batchSendRawTransactions(config, callbacks = {}) {
     throw new Error("transactions array is required");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpc);
+  const { provider, network: chain } = await connectNetwork({ network, rpc, broadcast });
   const wallet = new ethers.Wallet(privateKey, provider);
+  const metrics = transactionMetrics(chain);
   const startTime = Date.now();
 
   const results = [];
   const failed = [];
 
-  // Calculate total based on each transaction's count
-  const totalTransactions = transactions.reduce((sum, tx) => sum + (tx.count || 1), 0);
-  let txNumber = 0;
-
-  for (let i = 0; i < transactions.length; i++) {
-    const tx = transactions[i];
-    const count = tx.count || 1;
-
-    for (let c = 0; c < count; c++) {
-      txNumber++;
-      let attempt = 0;
-      let success = false;
-
-      while (attempt < retries && !success) {
-        attempt++;
-        try {
-          if (verbose) console.log(`\nSending tx #${txNumber}/${totalTransactions} (tx ${i + 1}/${transactions.length}, repeat ${c + 1}/${count})`);
-          if (verbose) console.log("To:", tx.to);
-          if (verbose) console.log("Data:", tx.data);
-
-        const feeData = await provider.getFeeData();
-        
-        let finalGasPrice;
-        if (tx.gasPrice) {
-          finalGasPrice = ethers.parseUnits(tx.gasPrice, "gwei");
-        } else if (gasPrice) {
-          finalGasPrice = ethers.parseUnits(gasPrice, "gwei");
-        } else {
-          finalGasPrice = feeData.gasPrice;
-        }
+  // One item per send, repeats included
+  const items = transactions.flatMap((tx, i) =>
+    Array.from({ length: tx.count || 1 }, (_, c) => ({ tx, txIndex: i + 1, repeat: c + 1, count: tx.count || 1 }))
+  );
+  items.forEach((item, n) => (item.index = n + 1));
+  const totalTransactions = items.length;
+  let finished = 0;
+
+  const stopped = await runPipeline(items, async ({ tx, txIndex, repeat, count, index: txNumber }, sent) => {
+    let attempt = 0;
+    while (attempt < retries) {
+      attempt++;
+      try {
+        logger.debug(`Sending tx #${txNumber}/${totalTransactions}`, { txIndex: txNumber, transaction: txIndex, repeat, to: tx.to, data: tx.data });
+
+        // A per-tx fee or gasPrice wins over the batch-wide settings
+        const fees = await resolveFees(
+          provider,
+          tx.fee ? { fee: tx.fee, gasPrice: tx.gasPrice } : { fee, gasPrice: tx.gasPrice || gasPrice }
+        );
 
         const txRequest = {
           to: tx.to,
           data: tx.data,
           value: tx.value && tx.value !== "0" ? ethers.parseEther(tx.value) : 0n,
           gasLimit: tx.gasLimit ? BigInt(tx.gasLimit) : (gasLimit ? BigInt(gasLimit) : undefined),
-          gasPrice: finalGasPrice,
+          ...fees,
           chainId: tx.chainId || (await provider.getNetwork()).chainId
         };
 
-        if (!tx.gasLimit) {
-          try {
-            const estimated = await provider.estimateGas(txRequest);
-            txRequest.gasLimit = estimated;
-          } catch (e) {
-            txRequest.gasLimit = 200000n;
-          }
-        }
+        const simulation = await preflight(provider, txRequest, {
+          from: wallet.address,
+          abi: tx.abi || abi,
+          simulate,
+          required: requireSimulation,
+          logger: logger.child({ txIndex: txNumber })
+        });
+
+        const sentTx = await withNonce(provider, wallet.address, (nonce) =>
+          sendWithPolicy(wallet, { ...txRequest, nonce })
+        );
+        sent();
+
+        const { receipt, hash, replaced } = await settleTransaction(provider, wallet, sentTx, {
+          receiptTimeout,
+          maxReplacements,
+          metrics,
+          logger: logger.child({ txIndex: txNumber })
+        });
+
+        const result = {
+          index: txNumber,
+          txIndex,
+          repeat,
+          totalRepeats: count,
+          hash,
+          nonce: sentTx.nonce,
+          from: wallet.address,
+          to: tx.to,
+          data: tx.data,
+          replaced,
+          simulation,
+          rpc: provider.servedBy(hash),
+          explorerUrl: explorerTxUrl(chain, hash),
+          ...receiptFields(receipt)
+        };
 
-        const sent = await wallet.sendTransaction(txRequest);
-        if (verbose) console.log("Hash:", sent.hash);
+        results.push(result);
 
-        const receipt = await sent.wait();
-        
-          const result = {
+        if (onProgress) onProgress({ completed: ++finished, total: totalTransactions, transaction: result });
+        return true;
+
+      } catch (err) {
+        // A refused or reverting tx would only fail the same way again
+        if (attempt >= retries || err instanceof PolicyViolation || err instanceof SimulationError) {
+          metrics.failed(err instanceof SimulationError ? "simulation" : "error");
+          logger.error(`Giving up on tx #${txNumber}`, { txIndex: txNumber, attempt, error: err });
+          const failedTx = {
             index: txNumber,
-            txIndex: i + 1,
-            repeat: c + 1,
-            totalRepeats: count,
-            hash: sent.hash,
-            from: wallet.address,
+            txIndex,
+            repeat,
             to: tx.to,
             data: tx.data,
-            blockNumber: receipt.blockNumber,
-            status: receipt.status,
-            gasUsed: receipt.gasUsed.toString()
+            error: err.message,
+            revert: err.revert
           };
-
-          results.push(result);
-          success = true;
-
-          if (verbose) console.log("Status:", receipt.status === 1 ? "Success" : "Failed");
-          if (onProgress) onProgress({ completed: txNumber, total: totalTransactions, transaction: result });
-
-          if (delay && delay > 0 && txNumber < totalTransactions) {
-            await new Promise(resolve => setTimeout(resolve, delay * 1000));
-          }
-
-        } catch (err) {
-          if (verbose) console.error(`Attempt ${attempt} failed:`, err.message);
-          
-          if (attempt >= retries) {
-            const failedTx = {
-              index: txNumber,
-              txIndex: i + 1,
-              repeat: c + 1,
-              to: tx.to,
-              data: tx.data,
-              error: err.message
-            };
-            failed.push(failedTx);
-            if (verbose) console.error(`Max retries reached for tx #${txNumber}`);
-            break;
-          }
-
-          const backoff = Math.min(5000 * attempt, 30000);
-          if (verbose) console.log(`Retrying in ${backoff / 1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, backoff));
+          failed.push(failedTx);
+          if (onFailure) onFailure({ transaction: failedTx });
+          return true;
         }
+
+        metrics.retried();
+        const backoff = Math.min(5000 * attempt, 30000);
+        logger.warn(`Tx #${txNumber} failed, retrying`, { txIndex: txNumber, attempt, backoffMs: backoff, error: err });
+        if (onRetry) onRetry({ index: txNumber, attempt, error: err.message, backoff });
+        if (await control.sleep(backoff)) return false;
       }
     }
-  }
+  }, { inFlight, delay, control, wallet, fee, gasPrice });
+  const stoppedAt = stopped ? stopped.index : null;
+
+  results.sort((a, b) => a.index - b.index);
+  failed.sort((a, b) => a.index - b.index);
+
+  if (stoppedAt !== null) logger.info("Cancelled", { txIndex: stoppedAt });
 
   const endTime = Date.now();
   const duration = ((endTime - startTime) / 1000).toFixed(2);
 
   const summary = {
-    success: failed.length === 0,
+    success: failed.length === 0 && stoppedAt === null,
+    cancelled: stoppedAt !== null,
+    stoppedAt,
     total: totalTransactions,
     uniqueTransactions: transactions.length,
     successful: results.length,
@@ -486,3 +680,51 @@ export async function batchSendRawTransactions(config, callbacks = {}) {
 
   return summary;
 }
+
+async function replacePendingTransaction(config, cancel) {
+  const { privateKey, rpc, network, hash, fee = "fast", broadcast = false } = config;
+
+  if (!privateKey) {
+    throw new Error("PRIVATE_KEY is required");
+  }
+
+  const { provider, network: chain } = await connectNetwork({ network, rpc, broadcast });
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  const original = await provider.getTransaction(hash);
+  if (!original) {
+    throw new RequestError(`Transaction ${hash} not found`, 404);
+  }
+  if (original.blockNumber != null) {
+    throw new RequestError(`Transaction ${hash} is already mined in block ${original.blockNumber}`, 409);
+  }
+  if (ethers.getAddress(original.from) !== wallet.address) {
+    throw new RequestError(`Transaction ${hash} was sent by ${original.from}, not ${wallet.address}`, 403);
+  }
+
+  const replacement = await replaceTransaction(wallet, original, { cancel, fee });
+
+  return {
+    action: cancel ? "cancel" : "speed-up",
+    originalHash: hash,
+    hash: replacement.hash,
+    nonce: replacement.nonce,
+    from: wallet.address,
+    to: replacement.to,
+    rpc: provider.servedBy(replacement.hash),
+    explorerUrl: explorerTxUrl(chain, replacement.hash),
+    maxFeePerGas: replacement.maxFeePerGas?.toString(),
+    maxPriorityFeePerGas: replacement.maxPriorityFeePerGas?.toString(),
+    gasPrice: replacement.maxFeePerGas == null ? replacement.gasPrice?.toString() : undefined
+  };
+}
+
+// Re-sends a pending transaction with the same nonce and higher fees
+export async function speedUpTransaction(config) {
+  return replacePendingTransaction(config, false);
+}
+
+// Voids a pending transaction with a zero-value self-transfer on the same nonce
+export async function cancelTransaction(config) {
+  return replacePendingTransaction(config, true);
+}
@@ -0,0 +1,79 @@
+// Structured logger. Every line is one JSON object { time, level, msg, ...fields }, or a
+// readable line in the pretty format the CLIs use. Child loggers carry correlation fields
+// (requestId, jobId, ...) onto every line they write.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Values under these keys are never written, whatever the nesting
+const SECRET_KEY = /private_?key|api_?key|password|mnemonic|secret|authorization/i;
+const REDACTED = "[REDACTED]";
+
+const settings = { level: "info", format: "json", stream: process.stdout, secrets: [] };
+
+// `secrets` are literal values (e.g. the configured private key and API keys) scrubbed
+// from every string, so they cannot leak through error messages either
+export function configureLogger({ level, format, stream, secrets } = {}) {
+  if (level && !(level in LEVELS)) throw new Error(`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(", ")})`);
+  if (format && !["json", "pretty"].includes(format)) throw new Error(`Unknown log format "${format}" (use json or pretty)`);
+  if (level) settings.level = level;
+  if (format) settings.format = format;
+  if (stream) settings.stream = stream;
+  if (secrets) settings.secrets = secrets.filter(Boolean);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Matches a secret with or without its 0x prefix, in any case
+function secretPattern(secrets) {
+  const parts = secrets
+    .map((secret) => String(secret).replace(/^0x/i, ""))
+    .filter((secret) => secret.length >= 8)
+    .map(escapeRegExp);
+  return parts.length > 0 ? new RegExp(`(0x)?(${parts.join("|")})`, "gi") : null;
+}
+
+function redact(value, pattern, key) {
+  if (value == null) return value;
+  if (key && SECRET_KEY.test(key)) return REDACTED;
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string") return pattern ? value.replace(pattern, REDACTED) : value;
+  if (value instanceof Error) {
+    return redact({ message: value.shortMessage || value.message, code: value.code }, pattern);
+  }
+  if (Array.isArray(value)) return value.map((entry) => redact(entry, pattern));
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([name, entry]) => [name, redact(entry, pattern, name)]));
+  }
+  return value;
+}
+
+const COLORS = { debug: "\x1b[90m", info: "\x1b[36m", warn: "\x1b[33m", error: "\x1b[31m" };
+
+function pretty({ time, level, msg, ...fields }, color) {
+  const extra = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}=${typeof value === "object" && value !== null ? JSON.stringify(value) : value}`);
+  const label = level.toUpperCase().padEnd(5);
+  return [time.slice(11, 23), color ? `${COLORS[level]}${label}\x1b[0m` : label, msg, ...extra].join(" ");
+}
+
+function createLogger(fields = {}, secrets = []) {
+  function write(level, msg, extra = {}) {
+    if (LEVELS[level] < LEVELS[settings.level]) return;
+    const pattern = secretPattern([...settings.secrets, ...secrets]);
+    const entry = { time: new Date().toISOString(), level, msg: redact(msg, pattern), ...redact({ ...fields, ...extra }, pattern) };
+    const line = settings.format === "pretty" ? pretty(entry, settings.stream.isTTY) : JSON.stringify(entry);
+    settings.stream.write(line + "\n");
+  }
+
+  return {
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    // `moreSecrets`: values only this child may see, e.g. a private key sent with a request
+    child: (more = {}, moreSecrets = []) => createLogger({ ...fields, ...more }, [...secrets, ...moreSecrets.filter(Boolean)])
+  };
+}
+
+export const logger = createLogger();
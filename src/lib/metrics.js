@@ -0,0 +1,130 @@
+import { ethers } from "ethers";
+
+// Prometheus metrics of the process, shared by every job like the nonce manager, and
+// rendered in the text exposition format for GET /metrics
+
+const registry = new Map(); // name -> { name, help, type, buckets, series: Map(label text -> entry) }
+
+const escape = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(",")}}` : "";
+}
+
+function define(type, name, help, buckets) {
+  const metric = { name, help, type, buckets, series: new Map() };
+  registry.set(name, metric);
+  return metric;
+}
+
+function series(metric, labels) {
+  const key = labelText(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, metric.type === "histogram"
+      ? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+function counter(name, help) {
+  const metric = define("counter", name, help);
+  return { inc: (labels = {}, by = 1) => { series(metric, labels).value += by; } };
+}
+
+function gauge(name, help) {
+  const metric = define("gauge", name, help);
+  return {
+    set: (labels, value) => { series(metric, labels).value = value; },
+    reset: () => metric.series.clear()
+  };
+}
+
+function histogram(name, help, buckets) {
+  const metric = define("histogram", name, help, buckets);
+  return {
+    observe(labels, value) {
+      const entry = series(metric, labels);
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.buckets[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+const txSent = counter("linea20_transactions_sent_total", "Transactions broadcast, not counting fee-bumped replacements");
+const txConfirmed = counter("linea20_transactions_confirmed_total", "Transactions mined with status 1");
+const txFailed = counter("linea20_transactions_failed_total", "Transactions that reverted, were never mined or ran out of retries");
+const txRetries = counter("linea20_transaction_retries_total", "Transactions attempted again after an error");
+const txReplacements = counter("linea20_transaction_replacements_total", "Fee-bumped replacements of stuck transactions");
+const gasUsed = counter("linea20_gas_used_total", "Gas used by mined transactions");
+const feesSpent = counter("linea20_fees_spent_eth_total", "Fees paid by mined transactions, in the native token");
+const rpcDuration = histogram("linea20_rpc_request_duration_seconds", "Latency of calls to RPC endpoints", [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const rpcErrors = counter("linea20_rpc_errors_total", "Failed calls to RPC endpoints");
+const jobDuration = histogram("linea20_job_duration_seconds", "Run time of finished background jobs", [1, 5, 15, 30, 60, 300, 900, 1800, 3600]);
+const jobsQueued = gauge("linea20_jobs_queued", "Jobs waiting in the job queue");
+const jobsRunning = gauge("linea20_jobs_running", "Jobs holding a job queue slot");
+const jobsByStatus = gauge("linea20_jobs", "Jobs in the job store by status");
+
+// Counters for the transactions on one chain, labelled with the network's registry key, or
+// "custom" when it is not registered. Addresses and chain IDs would give unbounded series.
+export function transactionMetrics(network) {
+  const labels = { network: network?.key || "custom" };
+  return {
+    sent: () => txSent.inc(labels),
+    replaced: () => txReplacements.inc(labels),
+    retried: () => txRetries.inc(labels),
+    // `reason`: reverted, unconfirmed (no receipt after every replacement), simulation
+    // (reverted in the pre-flight eth_call, never sent) or error
+    failed: (reason = "error") => txFailed.inc({ ...labels, reason }),
+    settled(receipt) {
+      if (!receipt) return txFailed.inc({ ...labels, reason: "unconfirmed" });
+      if (receipt.status === 1) txConfirmed.inc(labels);
+      else txFailed.inc({ ...labels, reason: "reverted" });
+      gasUsed.inc(labels, Number(receipt.gasUsed));
+      feesSpent.inc(labels, Number(ethers.formatEther(receipt.fee)));
+    }
+  };
+}
+
+// `network` is the registry key of the endpoint, or "custom" for RPCs from requests
+export function recordRpcCall(network, method, seconds, err) {
+  const labels = { network, method };
+  rpcDuration.observe(labels, seconds);
+  if (err) rpcErrors.inc({ ...labels, code: err.code || "UNKNOWN" });
+}
+
+export function recordJob(type, status, seconds) {
+  jobDuration.observe({ type, status }, seconds);
+}
+
+// Gauges are set from the job store and queue when scraped
+export function setJobCounts({ queued, running, statuses }) {
+  jobsQueued.set({}, queued);
+  jobsRunning.set({}, running);
+  jobsByStatus.reset();
+  for (const [status, count] of Object.entries(statuses)) jobsByStatus.set({ status }, count);
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const { name, help, type, buckets, series: entries } of registry.values()) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const entry of entries.values()) {
+      if (type !== "histogram") {
+        lines.push(`${name}${labelText(entry.labels)} ${entry.value}`);
+        continue;
+      }
+      buckets.forEach((le, i) => lines.push(`${name}_bucket${labelText({ ...entry.labels, le })} ${entry.buckets[i]}`));
+      lines.push(
+        `${name}_bucket${labelText({ ...entry.labels, le: "+Inf" })} ${entry.count}`,
+        `${name}_sum${labelText(entry.labels)} ${entry.sum}`,
+        `${name}_count${labelText(entry.labels)} ${entry.count}`
+      );
+    }
+  }
+  return lines.join("\n") + "\n";
+}
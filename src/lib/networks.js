@@ -0,0 +1,72 @@
+import fs from "fs";
+import { NETWORKS } from "../constant/constant.js";
+import { createProvider, parseRpcList } from "./provider.js";
+import { RequestError } from "./errors.js";
+
+const registry = new Map(Object.entries(NETWORKS));
+
+// Adds or overrides networks from a JSON file shaped like NETWORKS (key -> entry)
+export function loadNetworks(file) {
+  if (!file) return;
+
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (const [key, entry] of Object.entries(entries)) {
+    const merged = { ...registry.get(key), ...entry };
+    if (!merged.chainId) {
+      throw new Error(`Network ${key} in ${file} has no chainId`);
+    }
+    registry.set(key, { name: key, rpcs: [], nativeSymbol: "ETH", ...merged });
+  }
+}
+
+export function listNetworks() {
+  return [...registry].map(([key, network]) => ({ key, ...network }));
+}
+
+export function getNetwork(key) {
+  const network = registry.get(key);
+  if (!network) {
+    throw new RequestError(`Unknown network: ${key} (expected ${[...registry.keys()].join(", ")})`);
+  }
+  return { key, ...network };
+}
+
+export function networkByChainId(chainId) {
+  for (const [key, network] of registry) {
+    if (BigInt(network.chainId) === BigInt(chainId)) return { key, ...network };
+  }
+  return null;
+}
+
+// Explorer page of a tx, when the chain is in the registry
+export function explorerTxUrl(network, hash) {
+  return network?.explorer && hash ? `${network.explorer}/tx/${hash}` : null;
+}
+
+// Provider for an RPC list. Only endpoints from the registry share a pool; any other URL
+// (e.g. from a request body) gets a pool of its own, so callers cannot grow the cache.
+// Registry endpoints are counted in the metrics under their network's key, any other as "custom".
+export function rpcProvider(rpc, options = {}) {
+  const labels = {};
+  for (const [key, network] of registry) {
+    for (const url of network.rpcs || []) labels[url] ??= key;
+  }
+  return createProvider(rpc, { ...options, labels, shared: parseRpcList(rpc).every((url) => url in labels) });
+}
+
+// Provider for a `network` key and/or `rpc` list. Explicit RPCs win over the network's
+// defaults, and with a network every endpoint must report its chainId. Without one the
+// chain is looked up by the chainId the RPC reports (null when it is not registered).
+export async function connectNetwork({ network: key, rpc, broadcast = false }) {
+  const selected = key ? getNetwork(key) : null;
+  const urls = rpc || selected?.rpcs;
+
+  if (!urls || urls.length === 0) {
+    throw new RequestError(selected ? `Network ${key} has no default RPCs, pass rpc` : "Either rpc or network is required");
+  }
+
+  const provider = rpcProvider(urls, { broadcast, chainId: selected?.chainId });
+  const { chainId } = await provider.getNetwork();
+
+  return { provider, network: selected || networkByChainId(chainId), chainId };
+}
@@ -0,0 +1,116 @@
+import { resolveFees } from "./fees.js";
+import { sendWithPolicy } from "./policy.js";
+
+// Nonce manager shared by every sender in the process.
+// Broadcasts from the same address on the same chain are serialized, so two jobs
+// using one wallet never pick the same nonce.
+const trackers = new Map(); // "chainId:address" -> { next, released, lock }
+
+const NONCE_ERROR_CODES = ["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"];
+const NONCE_ERROR_MESSAGES = ["nonce too low", "nonce too high", "already known", "invalid nonce", "replacement transaction underpriced"];
+
+export function isNonceError(err) {
+  if (NONCE_ERROR_CODES.includes(err?.code)) return true;
+  const message = String(err?.shortMessage || err?.message || "").toLowerCase();
+  return NONCE_ERROR_MESSAGES.some((text) => message.includes(text));
+}
+
+async function trackerFor(provider, address) {
+  const { chainId } = await provider.getNetwork();
+  const key = `${chainId}:${address.toLowerCase()}`;
+
+  if (!trackers.has(key)) {
+    trackers.set(key, { next: null, released: [], lock: Promise.resolve() });
+  }
+  return trackers.get(key);
+}
+
+// Resolves with a release function once every earlier holder has released
+function acquire(tracker) {
+  let release;
+  const held = new Promise((resolve) => (release = resolve));
+  const previous = tracker.lock;
+  tracker.lock = previous.then(() => held);
+  return previous.then(() => release);
+}
+
+async function nextNonce(provider, address, tracker) {
+  const pending = await provider.getTransactionCount(address, "pending");
+
+  // First use, a resync, or txs sent from elsewhere all move us up to the node's view
+  if (tracker.next === null || pending > tracker.next) {
+    tracker.next = pending;
+  }
+
+  // Fill gaps left by dropped txs before handing out new nonces. The node's pending
+  // count stops at the first gap, so anything below it is no longer missing.
+  tracker.released = tracker.released.filter((nonce) => nonce >= pending && nonce < tracker.next);
+  if (tracker.released.length > 0) {
+    return Math.min(...tracker.released);
+  }
+
+  return tracker.next;
+}
+
+// Runs `send(nonce)` while holding the address lock and returns its result.
+// `send` should resolve once the tx is broadcast (not mined) so the lock stays short.
+// The nonce is only consumed when `send` succeeds; nonce errors force a resync from the node.
+export async function withNonce(provider, address, send) {
+  const tracker = await trackerFor(provider, address);
+  const release = await acquire(tracker);
+
+  try {
+    const nonce = await nextNonce(provider, address, tracker);
+
+    try {
+      const result = await send(nonce);
+      if (nonce === tracker.next) {
+        tracker.next++;
+      } else {
+        tracker.released = tracker.released.filter((released) => released !== nonce);
+      }
+      return result;
+    } catch (err) {
+      if (isNonceError(err)) {
+        tracker.next = null;
+        tracker.released = [];
+      }
+      throw err;
+    }
+  } finally {
+    release();
+  }
+}
+
+// Hands back the nonce of a broadcast tx that the node dropped, so the next send reuses it
+export async function releaseNonce(provider, address, nonce) {
+  const tracker = await trackerFor(provider, address);
+  if (!tracker.released.includes(nonce)) {
+    tracker.released.push(nonce);
+  }
+}
+
+// Voids every released nonce below the next one with a zero-value self-transfer, so txs
+// sent after a dropped one are not stuck behind its gap. Returns the filler tx hashes.
+export async function fillNonceGaps(wallet, { fee, gasPrice } = {}) {
+  const { provider, address } = wallet;
+  const tracker = await trackerFor(provider, address);
+  if (tracker.released.length === 0) return [];
+
+  const release = await acquire(tracker);
+  try {
+    const pending = await provider.getTransactionCount(address, "pending");
+    const gaps = tracker.released.filter((nonce) => nonce >= pending && nonce < tracker.next).sort((a, b) => a - b);
+    const fees = gaps.length > 0 ? await resolveFees(provider, { fee, gasPrice }) : null;
+    const hashes = [];
+
+    for (const nonce of gaps) {
+      const tx = await sendWithPolicy(wallet, { to: address, value: 0n, gasLimit: 21000n, nonce, ...fees });
+      tracker.released = tracker.released.filter((released) => released !== nonce);
+      hashes.push(tx.hash);
+    }
+    return hashes;
+  } finally {
+    release();
+  }
+}
@@ -0,0 +1,203 @@
+// OpenAPI 3.1 document of the HTTP API, built from the route table and the request
+// schemas in schemas.js, plus the docs page and the JS client generated from it
+
+const json = (schema) => ({ "application/json": { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const reply = (description, schema) => ({ description, content: json(schema) });
+
+const COMPONENTS = {
+  securitySchemes: {
+    apiKey: { type: "apiKey", in: "header", name: "x-api-key" }
+  },
+  schemas: {
+    Error: {
+      type: "object",
+      properties: { error: { type: "string" } },
+      required: ["error"]
+    },
+    ValidationError: {
+      type: "object",
+      properties: {
+        error: { type: "string" },
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              in: { type: "string", enum: ["body", "query", "params"] },
+              field: { type: "string" },
+              message: { type: "string" }
+            }
+          }
+        }
+      },
+      required: ["error", "errors"]
+    },
+    ScopeError: {
+      type: "object",
+      properties: { error: { type: "string" }, missingScope: { type: "string" } },
+      required: ["error"]
+    },
+    RateLimitError: {
+      type: "object",
+      properties: { error: { type: "string" }, retryAfter: { type: "integer" } },
+      required: ["error"]
+    }
+  }
+};
+
+// Express paths use :name, OpenAPI paths {name}
+const pathParams = (path) => [...path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+const openApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+function operation({ path, operationId, summary, scope, body, query, params, status = 200, stream = false, text = false }) {
+  const parameters = [
+    ...pathParams(path).map((name) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: params?.schema.properties[name] || { type: "string" }
+    })),
+    ...Object.entries(query?.schema.properties || {}).map(([name, schema]) => ({
+      name,
+      in: "query",
+      required: query.schema.required?.includes(name) || undefined,
+      schema
+    }))
+  ];
+
+  const responses = {
+    [status]: stream
+      ? { description: "Server-sent events", content: { "text/event-stream": { schema: { type: "string" } } } }
+      : text
+        ? { description: "Success", content: { "text/plain": { schema: { type: "string" } } } }
+        : reply("Success", { type: "object" })
+  };
+  if (body || query || params) responses[400] = reply("Invalid request", ref("ValidationError"));
+  if (scope) {
+    responses[401] = reply("Invalid or missing API key", ref("Error"));
+    responses[403] = reply(`API key lacks the ${scope} scope, or may not use this wallet or network`, ref("ScopeError"));
+  }
+  responses[429] = reply("Rate limit exceeded", ref("RateLimitError"));
+  responses.default = reply("Error", ref("Error"));
+
+  return {
+    operationId,
+    summary,
+    description: body?.schema.description || query?.schema.description,
+    tags: [path.split("/")[1]],
+    security: scope ? [{ apiKey: [] }] : [],
+    "x-scope": scope,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody: body ? { required: Boolean(body.schema.required), content: json(body.schema) } : undefined,
+    responses
+  };
+}
+
+// `routes` are { method, path, operationId, summary, scope, body, query, params, status, stream, text }
+export function buildOpenApi(routes, { title, version, description }) {
+  const paths = {};
+  for (const route of routes) {
+    const path = openApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: operation(route) };
+  }
+  // Round-trip through JSON to drop the undefined keys the schema fragments leave
+  return JSON.parse(JSON.stringify({ openapi: "3.1.0", info: { title, version, description }, components: COMPONENTS, paths }));
+}
+
+// Swagger UI assets, pinned to one release and checked by the browser against these hashes
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.33.1";
+const SWAGGER_UI_CSS = "sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW";
+const SWAGGER_UI_JS = "sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw";
+
+// Interactive docs for the document at `specUrl`, rendered by Swagger UI
+export function docsPage(specUrl, title) {
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" integrity="${SWAGGER_UI_CSS}" crossorigin="anonymous">
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_JS}" crossorigin="anonymous"></script>
+    <script>
+      SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs", persistAuthorization: true });
+    </script>
+  </body>
+</html>
+`;
+}
+
+const CLIENT_RUNTIME = `export class ApiError extends Error {
+  constructor(status, body) {
+    super((body && body.error) || "HTTP " + status);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// \`apiKey\` is sent as x-api-key; \`fetch\` defaults to the global one (Node 18+, browsers).
+// Failed requests throw an ApiError with the status and the parsed error body.
+export function createClient({ baseUrl = "http://localhost:3000", apiKey, fetch = globalThis.fetch } = {}) {
+  async function request(method, path, { query, body, stream = false } = {}) {
+    const url = new URL(baseUrl.replace(/\\/$/, "") + path);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value != null) url.searchParams.set(key, String(value));
+    }
+
+    const headers = {};
+    if (apiKey) headers["x-api-key"] = apiKey;
+    if (body !== undefined) headers["content-type"] = "application/json";
+
+    const res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    // Event streams are handed back as the Response, to be read as they arrive
+    if (stream && res.ok) return res;
+
+    const text = await res.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // Not JSON; keep the text
+    }
+    if (!res.ok) throw new ApiError(res.status, data);
+    return data;
+  }
+
+  return {
+`;
+
+// Source of an ES module exporting createClient({ baseUrl, apiKey }), with one method per
+// operation: path parameters come first, then the JSON body or the query object
+export function generateClient(spec) {
+  const methods = [];
+  for (const [path, operations] of Object.entries(spec.paths)) {
+    for (const [method, op] of Object.entries(operations)) {
+      const pathArgs = (op.parameters || []).filter((param) => param.in === "path").map(({ name }) => name);
+      const hasQuery = (op.parameters || []).some((param) => param.in === "query");
+      const stream = Boolean(op.responses[200]?.content["text/event-stream"]);
+
+      const args = [...pathArgs, op.requestBody && "body", hasQuery && "query"].filter(Boolean);
+      const options = [op.requestBody && "body", hasQuery && "query", stream && "stream: true"].filter(Boolean);
+      const url = pathArgs.length > 0
+        ? "`" + path.replace(/\{(\w+)\}/g, "${encodeURIComponent($1)}") + "`"
+        : JSON.stringify(path);
+
+      methods.push(
+        `    // ${method.toUpperCase()} ${path} - ${op.summary}${op["x-scope"] ? ` [${op["x-scope"]}]` : ""}\n` +
+        `    ${op.operationId}: (${args.join(", ")}) => request(${JSON.stringify(method.toUpperCase())}, ${url}${options.length > 0 ? `, { ${options.join(", ")} }` : ""})`
+      );
+    }
+  }
+
+  return `// Client for the ${spec.info.title} HTTP API ${spec.info.version}, generated from its
+// OpenAPI document by \`npm run generate:client\`. Do not edit by hand.
+
+${CLIENT_RUNTIME}${methods.join(",\n\n")}
+  };
+}
+`;
+}
@@ -0,0 +1,55 @@
+import { fillNonceGaps } from "./nonce.js";
+import { MAX_IN_FLIGHT } from "../constant/constant.js";
+
+// Runs `task(item, sent)` for every item with up to `inFlight` tasks running at once. A task
+// calls `sent()` once its tx is broadcast; the next task starts after that (or after the task
+// finished), once there is room in the window and `delay` seconds later, so nonces follow the
+// item order while receipts are awaited side by side. With inFlight 1 this is the plain
+// one-by-one loop.
+//
+// A task resolves to false when a cancel stopped it. A task that throws stops new tasks from
+// starting; the ones in flight are still waited for (their txs are out) and the first error
+// is rethrown. Resolves with the first item that was stopped or never started, or null.
+export async function runPipeline(items, task, options) {
+  const { inFlight = 1, delay = 0, control, wallet, fee, gasPrice } = options;
+  const window = Math.min(Math.max(1, Number(inFlight) || 1), MAX_IN_FLIGHT);
+  const running = new Set();
+  const stopped = [];
+  let failure = null;
+
+  for (let position = 0; position < items.length && !failure; position++) {
+    while (running.size >= window) await Promise.race(running);
+    if (failure) break;
+
+    if (position > 0 && delay > 0) await control.sleep(delay * 1000);
+    if (await control.checkpoint()) {
+      stopped.push(position);
+      break;
+    }
+
+    let sent;
+    const broadcast = new Promise((resolve) => (sent = resolve));
+    const run = (async () => {
+      try {
+        if ((await task(items[position], sent)) === false) stopped.push(position);
+      } catch (err) {
+        failure = failure || err;
+      } finally {
+        sent();
+        running.delete(run);
+      }
+    })();
+    running.add(run);
+    await broadcast;
+  }
+
+  // A tx that was dropped and given up on leaves a nonce gap that every later tx in
+  // flight is stuck behind; fill it so they can still be mined
+  while (running.size > 0) {
+    if (wallet) await fillNonceGaps(wallet, { fee, gasPrice }).catch(() => {});
+    await Promise.race(running);
+  }
+
+  if (failure) throw failure;
+  return stopped.length > 0 ? items[Math.min(...stopped)] : null;
+}
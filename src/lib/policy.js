@@ -0,0 +1,300 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { PolicyViolation } from "./errors.js";
+import { maxGasPrice } from "./fees.js";
+import { ERC20_ABI, POLICY_WINDOW, POLICY_HISTORY } from "../constant/constant.js";
+
+// Spending policy shared by every sender in the process, like the nonce manager.
+// Without a policy file every transaction is allowed and nothing is recorded.
+const RULES = ["maxValue", "dailyValue", "maxGasPrice", "allowedTo", "allowedSelectors", "tokenCaps"];
+
+let policy = null; // { file, logFile, source, defaults, wallets: address -> rules }
+let decisions = []; // most recent last, at most POLICY_HISTORY
+const spent = new Map(); // "chainId:address[:token]" -> [{ time, value }] of allowed sends within POLICY_WINDOW
+const decimals = new Map(); // "chainId:token" -> decimals, for token caps
+
+// Calls that pay someone, decoded so the rules see every recipient and the tokens moved
+const PAYMENTS = new ethers.Interface([
+  "function transfer(address to, uint256 value)",
+  "function transferFrom(address from, address to, uint256 value)",
+  "function approve(address spender, uint256 value)",
+  "function disperseEther(address[] recipients, uint256[] values)",
+  "function disperseToken(address token, address[] recipients, uint256[] values)",
+  "function disperseTokenSimple(address token, address[] recipients, uint256[] values)"
+]);
+
+const eth = (wei) => ethers.formatEther(wei);
+const gwei = (wei) => ethers.formatUnits(wei, "gwei");
+
+// "0xa9059cbb" or a signature such as "transfer(address,uint256)"
+function selectorOf(entry) {
+  if (/^0x[0-9a-fA-F]{8}$/.test(entry)) return entry.toLowerCase();
+  return ethers.FunctionFragment.from(entry).selector;
+}
+
+// A rule set to null is switched off, which lets a wallet drop a default rule
+function parseRules(rules, where) {
+  const unknown = Object.keys(rules).filter((rule) => !RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown policy rules for ${where}: ${unknown.join(", ")} (expected ${RULES.join(", ")})`);
+  }
+
+  const { maxValue, dailyValue, maxGasPrice: maxPrice, allowedTo, allowedSelectors } = rules;
+  return {
+    maxValue: maxValue != null ? ethers.parseEther(String(maxValue)) : null,
+    dailyValue: dailyValue != null ? ethers.parseEther(String(dailyValue)) : null,
+    maxGasPrice: maxPrice != null ? ethers.parseUnits(String(maxPrice), "gwei") : null,
+    allowedTo: allowedTo ? allowedTo.map((address) => ethers.getAddress(address)) : null,
+    allowedSelectors: allowedSelectors ? allowedSelectors.map(selectorOf) : null,
+    tokenCaps: rules.tokenCaps ? parseTokenCaps(rules.tokenCaps, where) : null
+  };
+}
+
+// token address -> { maxValue, dailyValue } in whole tokens. Amounts stay strings until the
+// token's decimals are known, but must already read as amounts.
+function parseTokenCaps(tokenCaps, where) {
+  return new Map(Object.entries(tokenCaps).map(([token, caps]) => {
+    const unknown = Object.keys(caps).filter((cap) => !["maxValue", "dailyValue"].includes(cap));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown token caps for ${token} in ${where}: ${unknown.join(", ")} (expected maxValue, dailyValue)`);
+    }
+    for (const amount of [caps.maxValue, caps.dailyValue]) {
+      if (amount != null) ethers.parseUnits(String(amount), 18);
+    }
+    return [ethers.getAddress(token), { maxValue: caps.maxValue ?? null, dailyValue: caps.dailyValue ?? null }];
+  }));
+}
+
+// { recipients, token, units } of a payment call to `to`: everyone paid (or, for approve,
+// allowed to take), and the token and units it moves. Null for any other calldata.
+function decodePayment(to, data) {
+  let call = null;
+  try {
+    call = PAYMENTS.parseTransaction({ data });
+  } catch (err) {
+    // Not a payment call, or malformed arguments the contract would reject anyway
+  }
+  if (!call) return null;
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0n);
+  switch (call.name) {
+    case "transfer":
+      return { recipients: [call.args[0]], token: to, units: call.args[1] };
+    case "transferFrom":
+      return { recipients: [call.args[1]], token: to, units: call.args[2] };
+    case "approve":
+      return { recipients: [call.args[0]], token: null, units: 0n };
+    case "disperseEther":
+      return { recipients: [...call.args[0]], token: null, units: 0n };
+    default:
+      return { recipients: [...call.args[1]], token: ethers.getAddress(call.args[0]), units: sum(call.args[2]) };
+  }
+}
+
+async function tokenDecimals(provider, chainId, token) {
+  const key = `${chainId}:${token}`;
+  if (!decimals.has(key)) {
+    decimals.set(key, Number(await new ethers.Contract(token, ERC20_ABI, provider).decimals()));
+  }
+  return decimals.get(key);
+}
+
+function spentInWindow(key, now = Date.now()) {
+  const entries = (spent.get(key) || []).filter(({ time }) => now - time < POLICY_WINDOW);
+  spent.set(key, entries);
+  return entries.reduce((sum, { value }) => sum + value, 0n);
+}
+
+function countSpend(decision) {
+  if (!decision.allowed || !decision.hash || decision.replacement) return;
+  const key = `${decision.chainId}:${decision.wallet.toLowerCase()}`;
+  spent.set(key, [...(spent.get(key) || []), { time: decision.time, value: ethers.parseEther(decision.value) }]);
+
+  // Token amounts count for tokens with caps, whose decimals were looked up for them
+  if (decision.token && decision.tokenDecimals != null) {
+    const tokenKey = `${key}:${decision.token}`;
+    spent.set(tokenKey, [...(spent.get(tokenKey) || []), { time: decision.time, value: BigInt(decision.tokenUnits) }]);
+    decimals.set(`${decision.chainId}:${decision.token}`, decision.tokenDecimals);
+  }
+}
+
+function record(decision) {
+  decisions.push(decision);
+  if (decisions.length > POLICY_HISTORY) decisions = decisions.slice(-POLICY_HISTORY);
+  if (policy.logFile) {
+    fs.mkdirSync(path.dirname(policy.logFile), { recursive: true });
+    fs.appendFileSync(policy.logFile, JSON.stringify(decision) + "\n");
+  }
+}
+
+// Loads the rules from `file`: { default: rules, wallets: { address: rules } }, where a
+// wallet's rules override the defaults one by one. Decisions are appended to `logFile`,
+// which is read back so the daily caps survive restarts.
+export function loadPolicy({ file, logFile }) {
+  if (!file) return;
+
+  const source = JSON.parse(fs.readFileSync(file, "utf8"));
+  const { default: defaults = {}, wallets = {} } = source;
+
+  policy = {
+    file,
+    logFile,
+    source,
+    defaults: parseRules(defaults, "default"),
+    wallets: new Map(Object.entries(wallets).map(([address, rules]) => [ethers.getAddress(address), parseRules({ ...defaults, ...rules }, address)]))
+  };
+
+  if (logFile && fs.existsSync(logFile)) {
+    const logged = fs.readFileSync(logFile, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    decisions = logged.slice(-POLICY_HISTORY);
+    logged.filter(({ time }) => Date.now() - time < POLICY_WINDOW).forEach(countSpend);
+  }
+}
+
+// Token caps of a payment, in units of the token: { maxValue, dailyValue } (either may be
+// null), or undefined when the rules have none for it
+function tokenCapsFor(rules, payment, tokenDecimals) {
+  const caps = rules.tokenCaps?.get(payment.token);
+  if (!caps) return undefined;
+  const units = (amount) => (amount != null ? ethers.parseUnits(String(amount), tokenDecimals) : null);
+  return { maxValue: units(caps.maxValue), dailyValue: units(caps.dailyValue) };
+}
+
+// The first rule `tx` breaks, as { rule, reason }, or null
+function evaluate(rules, tx, { key, replacement }) {
+  const { from, to, value, selector, price, payment, tokenDecimals } = tx;
+
+  if (rules.maxGasPrice != null && price != null && price > rules.maxGasPrice) {
+    return { rule: "maxGasPrice", reason: `${gwei(price)} gwei per gas is over the ${gwei(rules.maxGasPrice)} gwei cap` };
+  }
+
+  // Zero-value transfers to self (cancels, nonce gap fillers) move nothing
+  if (to === from && value === 0n && !selector) return null;
+
+  if (rules.allowedTo && !rules.allowedTo.includes(to)) {
+    return { rule: "allowedTo", reason: to ? `${to} is not an allowed destination` : "contract deployments are not allowed" };
+  }
+  const recipient = rules.allowedTo && payment?.recipients.map((address) => ethers.getAddress(address)).find((address) => !rules.allowedTo.includes(address));
+  if (recipient) {
+    return { rule: "allowedTo", reason: `${recipient} is not an allowed recipient` };
+  }
+  if (rules.allowedSelectors && selector && !rules.allowedSelectors.includes(selector)) {
+    return { rule: "allowedSelectors", reason: `function selector ${selector} is not allowed` };
+  }
+  if (rules.maxValue != null && value > rules.maxValue) {
+    return { rule: "maxValue", reason: `${eth(value)} ETH is over the ${eth(rules.maxValue)} ETH per-transaction cap` };
+  }
+  // A replacement pays out instead of the tx it replaces, which was already counted
+  if (rules.dailyValue != null && !replacement) {
+    const total = spentInWindow(key) + value;
+    if (total > rules.dailyValue) {
+      return { rule: "dailyValue", reason: `${eth(value)} ETH would bring ${from}'s last 24h to ${eth(total)} ETH, over the ${eth(rules.dailyValue)} ETH cap` };
+    }
+  }
+
+  // Token payments are held to the token's own caps. With ETH caps set, a token without
+  // caps is refused rather than let through uncounted.
+  if (payment?.token && payment.units > 0n) {
+    const caps = tokenCapsFor(rules, payment, tokenDecimals);
+    if (!caps) {
+      if (rules.maxValue != null || rules.dailyValue != null) {
+        return { rule: "tokenCaps", reason: `token ${payment.token} has no caps in tokenCaps, while ETH value caps are set` };
+      }
+      return null;
+    }
+    const amount = (units) => `${ethers.formatUnits(units, tokenDecimals)} of token ${payment.token}`;
+    if (caps.maxValue != null && payment.units > caps.maxValue) {
+      return { rule: "tokenCaps", reason: `${amount(payment.units)} is over the ${ethers.formatUnits(caps.maxValue, tokenDecimals)} per-transaction cap` };
+    }
+    if (caps.dailyValue != null && !replacement) {
+      const total = spentInWindow(`${key}:${payment.token}`) + payment.units;
+      if (total > caps.dailyValue) {
+        return { rule: "tokenCaps", reason: `${amount(payment.units)} would bring ${from}'s last 24h to ${ethers.formatUnits(total, tokenDecimals)}, over the ${ethers.formatUnits(caps.dailyValue, tokenDecimals)} cap` };
+      }
+    }
+  }
+  return null;
+}
+
+// Evaluates `txRequest` from `wallet` against the policy, then broadcasts it with `send`
+// and records the decision. A refused tx throws a PolicyViolation and is never sent.
+// Call it under the wallet's nonce lock so the daily cap cannot be raced.
+export async function sendWithPolicy(wallet, txRequest, { send = (tx) => wallet.sendTransaction(tx), replacement = false } = {}) {
+  if (!policy) return send(txRequest);
+
+  const { chainId } = await wallet.provider.getNetwork();
+  const from = wallet.address;
+  const to = txRequest.to ? ethers.getAddress(txRequest.to) : null;
+  const value = BigInt(txRequest.value ?? 0);
+  const selector = txRequest.data && txRequest.data !== "0x" ? txRequest.data.slice(0, 10).toLowerCase() : null;
+  const price = maxGasPrice(txRequest) ?? null;
+  const key = `${chainId}:${from.toLowerCase()}`;
+  const rules = policy.wallets.get(from) || policy.defaults;
+
+  const payment = selector ? decodePayment(to, txRequest.data) : null;
+  const token = payment?.token && payment.units > 0n ? payment.token : undefined;
+  const decimalsOfToken = token && rules.tokenCaps?.has(token) ? await tokenDecimals(wallet.provider, chainId, token) : undefined;
+
+  const violation = evaluate(rules, { from, to, value, selector, price, payment, tokenDecimals: decimalsOfToken }, { key, replacement });
+  const decision = {
+    time: Date.now(),
+    chainId: Number(chainId),
+    wallet: from,
+    to,
+    value: eth(value),
+    recipients: payment?.recipients.length > 0 ? payment.recipients.map((address) => ethers.getAddress(address)) : undefined,
+    token,
+    tokenUnits: token ? payment.units.toString() : undefined,
+    tokenDecimals: decimalsOfToken,
+    selector,
+    maxGasPrice: price != null ? gwei(price) : null,
+    replacement: replacement || undefined,
+    allowed: !violation,
+    rule: violation?.rule,
+    reason: violation?.reason
+  };
+
+  if (violation) {
+    record(decision);
+    throw new PolicyViolation(decision);
+  }
+
+  try {
+    const sent = await send(txRequest);
+    decision.hash = sent.hash;
+    countSpend(decision);
+    return sent;
+  } catch (err) {
+    decision.error = err.shortMessage || err.message;
+    throw err;
+  } finally {
+    record(decision);
+  }
+}
+
+// Loaded rules and what each wallet sent within the daily window: ETH keyed "chainId:address",
+// tokens keyed "chainId:address:token"
+export function policyInfo() {
+  if (!policy) return { enabled: false };
+
+  const spentByWallet = {};
+  const tokensByWallet = {};
+  for (const key of spent.keys()) {
+    const total = spentInWindow(key);
+    if (total === 0n) continue;
+    const [chainId, , token] = key.split(":");
+    if (!token) spentByWallet[key] = eth(total);
+    else tokensByWallet[key] = ethers.formatUnits(total, decimals.get(`${chainId}:${token}`));
+  }
+  return { enabled: true, file: policy.file, rules: policy.source, spent: spentByWallet, tokensSpent: tokensByWallet };
+}
+
+// Recorded decisions, newest first
+export function listDecisions({ wallet, allowed, limit = 100 } = {}) {
+  return decisions
+    .filter((decision) => !wallet || decision.wallet.toLowerCase() === wallet.toLowerCase())
+    .filter((decision) => allowed == null || decision.allowed === allowed)
+    .slice(-limit)
+    .reverse();
+}
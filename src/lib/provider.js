@@ -0,0 +1,278 @@
+import { ethers } from "ethers";
+import { recordRpcCall } from "./metrics.js";
+import { RPC_TIMEOUT, RPC_COOLDOWN } from "../constant/constant.js";
+
+// Errors that say something about the endpoint rather than the request. Only these
+// move a call on to the next RPC; reverts, nonce and funds errors are returned as-is.
+const FAILOVER_CODES = ["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT", "BAD_DATA"];
+
+function isEndpointError(err) {
+  const code = err?.code;
+  // Node socket errors (ECONNREFUSED, ECONNRESET, ...) carry no ethers code
+  return code == null || FAILOVER_CODES.includes(code) || /^E[A-Z]+$/.test(code);
+}
+
+// `rpc` may be a URL, a comma-separated list of URLs or an array of them
+export function parseRpcList(rpc) {
+  const urls = (Array.isArray(rpc) ? rpc : String(rpc || "").split(","))
+    .map((url) => String(url).trim())
+    .filter(Boolean);
+
+  if (urls.length === 0) {
+    throw new Error("At least one RPC URL is required");
+  }
+  return [...new Set(urls)];
+}
+
+// Runs one call to an endpoint and records its latency (and error) in the RPC metrics
+async function timed(endpoint, method, run) {
+  const started = performance.now();
+  let error = null;
+  try {
+    return await run();
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    recordRpcCall(endpoint.label, method, (performance.now() - started) / 1000, error);
+  }
+}
+
+async function rpcCall(url, method, timeout) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeout;
+  request.body = { jsonrpc: "2.0", id: 1, method, params: [] };
+
+  const response = await request.send();
+  response.assertOk();
+  const { result, error } = response.bodyJson;
+  if (error) {
+    throw new Error(error.message || JSON.stringify(error));
+  }
+  return BigInt(result);
+}
+
+// Provider over several RPC endpoints. Calls go to the first healthy endpoint and move on
+// to the next one on timeouts and connection errors; a failing endpoint is skipped for
+// `cooldown` ms. With `broadcast` signed txs are sent to several endpoints at once
+// (true = all healthy ones, or a number). With `chainId` endpoints on any other chain are never used.
+// `labels` maps URLs to the name their calls are counted under in the metrics (default "custom").
+class ProviderPool extends ethers.AbstractProvider {
+  #endpoints;
+  #timeout;
+  #cooldown;
+  #broadcast;
+  #network = null;
+  #servedBy = new Map(); // tx hash -> url of the endpoint that accepted it
+
+  constructor(urls, { broadcast = false, chainId, labels = {}, timeout = RPC_TIMEOUT, cooldown = RPC_COOLDOWN } = {}) {
+    super();
+    this.#network = chainId ? ethers.Network.from(BigInt(chainId)) : null;
+    this.#timeout = timeout;
+    this.#cooldown = cooldown;
+    this.#broadcast = broadcast;
+    this.#endpoints = urls.map((url) => ({
+      url,
+      label: labels[url] || "custom",
+      backend: null,
+      healthy: true,
+      downUntil: 0,
+      latency: null,
+      blockNumber: null,
+      chainId: null,
+      lastError: null
+    }));
+  }
+
+  get urls() {
+    return this.#endpoints.map(({ url }) => url);
+  }
+
+  // Probes every endpoint (chainId + block number) and updates its health. Without an
+  // expected chainId the first reachable endpoint fixes the chain.
+  async checkHealth() {
+    await Promise.all(this.#endpoints.map(async (endpoint) => {
+      const started = Date.now();
+      try {
+        endpoint.chainId = await timed(endpoint, "eth_chainId", () => rpcCall(endpoint.url, "eth_chainId", this.#timeout));
+        endpoint.blockNumber = Number(await timed(endpoint, "eth_blockNumber", () => rpcCall(endpoint.url, "eth_blockNumber", this.#timeout)));
+        endpoint.latency = Date.now() - started;
+        this.#markUp(endpoint);
+      } catch (err) {
+        endpoint.latency = null;
+        this.#markDown(endpoint, err);
+      }
+    }));
+
+    if (!this.#network) {
+      const reachable = this.#endpoints.find((endpoint) => endpoint.healthy);
+      if (reachable) this.#network = ethers.Network.from(reachable.chainId);
+    }
+    if (this.#network) {
+      for (const endpoint of this.#endpoints) {
+        if (endpoint.chainId != null && endpoint.chainId !== this.#network.chainId) {
+          this.#markDown(endpoint, new Error(`chainId ${endpoint.chainId} does not match ${this.#network.chainId}`), Infinity);
+        }
+      }
+    }
+
+    return this.health();
+  }
+
+  health() {
+    return this.#endpoints.map((endpoint) => ({
+      url: endpoint.url,
+      healthy: endpoint.healthy,
+      chainId: endpoint.chainId == null ? null : Number(endpoint.chainId),
+      blockNumber: endpoint.blockNumber,
+      latency: endpoint.latency,
+      error: endpoint.lastError
+    }));
+  }
+
+  // Which endpoint accepted the broadcast of `hash`, if it went through this pool
+  servedBy(hash) {
+    return this.#servedBy.get(hash) || null;
+  }
+
+  // Usable once some endpoint answered on the right chain
+  #connected() {
+    return this.#network && this.#endpoints.some((endpoint) => endpoint.chainId != null && endpoint.downUntil !== Infinity);
+  }
+
+  async _detectNetwork() {
+    if (!this.#connected()) {
+      await this.checkHealth();
+    }
+    if (!this.#connected()) {
+      const errors = this.#endpoints.map(({ url, lastError }) => `${url}: ${lastError}`).join("; ");
+      throw new Error(`No usable RPC endpoint (${errors})`);
+    }
+    return this.#network;
+  }
+
+  async _perform(req) {
+    await this.getNetwork();
+
+    if (req.method === "broadcastTransaction" && this.#broadcast) {
+      return this.#broadcastToMany(req);
+    }
+
+    let lastError = null;
+    for (const endpoint of this.#candidates()) {
+      try {
+        const result = await timed(endpoint, req.method, () => req.method === "broadcastTransaction"
+          ? this.#sendRaw(endpoint, req)
+          : this.#backend(endpoint)._perform(req));
+        this.#markUp(endpoint);
+        if (req.method === "broadcastTransaction") this.#recordServer(result, endpoint.url);
+        return result;
+      } catch (err) {
+        if (!isEndpointError(err)) throw err;
+        this.#markDown(endpoint, err);
+        lastError = err;
+      }
+    }
+
+    throw lastError || new Error("No healthy RPC endpoint available");
+  }
+
+  async #broadcastToMany(req) {
+    const candidates = this.#candidates();
+    const targets = this.#broadcast === true ? candidates : candidates.slice(0, Math.max(1, Number(this.#broadcast)));
+
+    const attempts = targets.map(async (endpoint) => {
+      try {
+        const hash = await timed(endpoint, req.method, () => this.#sendRaw(endpoint, req));
+        this.#markUp(endpoint);
+        return { hash, url: endpoint.url };
+      } catch (err) {
+        if (isEndpointError(err)) this.#markDown(endpoint, err);
+        throw err;
+      }
+    });
+
+    try {
+      const { hash, url } = await Promise.any(attempts);
+      this.#recordServer(hash, url);
+      return hash;
+    } catch (err) {
+      // Prefer an answer from a node (e.g. insufficient funds) over a connection error
+      throw err.errors.find((error) => !isEndpointError(error)) || err.errors[0];
+    }
+  }
+
+  // A node that rejects a tx it already has (e.g. it arrived through another endpoint
+  // whose response timed out) counts as a successful broadcast
+  async #sendRaw(endpoint, req) {
+    const backend = this.#backend(endpoint);
+    try {
+      return await backend._perform(req);
+    } catch (err) {
+      if (isEndpointError(err)) throw err;
+      const hash = ethers.Transaction.from(req.signedTransaction).hash;
+      const known = await backend._perform({ method: "getTransaction", hash }).catch(() => null);
+      if (known) return hash;
+      throw err;
+    }
+  }
+
+  // Healthy endpoints in the configured order; when all are cooling down, try them anyway
+  #candidates() {
+    const now = Date.now();
+    const usable = this.#endpoints.filter((endpoint) => endpoint.downUntil !== Infinity);
+    const healthy = usable.filter((endpoint) => endpoint.downUntil <= now);
+    return healthy.length > 0 ? healthy : [...usable].sort((a, b) => a.downUntil - b.downUntil);
+  }
+
+  #backend(endpoint) {
+    if (!endpoint.backend) {
+      const request = new ethers.FetchRequest(endpoint.url);
+      request.timeout = this.#timeout;
+      endpoint.backend = new ethers.JsonRpcProvider(request, this.#network, { staticNetwork: this.#network });
+    }
+    return endpoint.backend;
+  }
+
+  #markUp(endpoint) {
+    endpoint.healthy = true;
+    endpoint.downUntil = 0;
+    endpoint.lastError = null;
+  }
+
+  #markDown(endpoint, err, cooldown = this.#cooldown) {
+    endpoint.healthy = false;
+    endpoint.downUntil = Date.now() + cooldown;
+    endpoint.lastError = err.shortMessage || err.message || String(err);
+  }
+
+  #recordServer(hash, url) {
+    this.#servedBy.set(hash, url);
+    if (this.#servedBy.size > 1000) {
+      this.#servedBy.delete(this.#servedBy.keys().next().value);
+    }
+  }
+
+  destroy() {
+    for (const endpoint of this.#endpoints) {
+      if (endpoint.backend) endpoint.backend.destroy();
+    }
+    super.destroy();
+  }
+}
+
+// Pools are shared per endpoint list so health state carries over between calls and jobs.
+// With `shared` false the pool is the caller's own and is dropped along with it.
+const pools = new Map();
+
+export function createProvider(rpc, { broadcast = false, chainId, labels, shared = true } = {}) {
+  const urls = parseRpcList(rpc);
+  if (!shared) return new ProviderPool(urls, { broadcast, chainId, labels });
+
+  const key = `${urls.join(",")}|${broadcast}|${chainId || ""}`;
+
+  if (!pools.has(key)) {
+    pools.set(key, new ProviderPool(urls, { broadcast, chainId, labels }));
+  }
+  return pools.get(key);
+}
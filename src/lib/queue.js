@@ -0,0 +1,69 @@
+import { RequestError } from "./errors.js";
+
+// Runs background jobs at most `maxRunning` at a time and `maxPerWallet` per wallet
+// (0 for no limit); the rest wait in order. A waiting job whose wallet is busy lets
+// later jobs of other wallets go ahead of it.
+export function createJobQueue({ maxRunning = 4, maxPerWallet = 1, maxQueued = 100 } = {}) {
+  const waiting = []; // { id, wallet, run }
+  const running = new Map(); // jobId -> wallet
+
+  const limited = (limit) => limit > 0;
+  const runningFor = (wallet) => [...running.values()].filter((busy) => busy === wallet).length;
+
+  function drain() {
+    for (let i = 0; i < waiting.length && !(limited(maxRunning) && running.size >= maxRunning); ) {
+      const entry = waiting[i];
+      if (limited(maxPerWallet) && runningFor(entry.wallet) >= maxPerWallet) {
+        i++;
+        continue;
+      }
+
+      waiting.splice(i, 1);
+      running.set(entry.id, entry.wallet);
+      Promise.resolve()
+        .then(entry.run)
+        .catch(() => {})
+        .finally(() => {
+          running.delete(entry.id);
+          drain();
+        });
+    }
+  }
+
+  return {
+    // Throws a 503 when no more jobs may wait; call it before creating the job
+    ensureRoom() {
+      if (limited(maxQueued) && waiting.length >= maxQueued) {
+        throw new RequestError(`Job queue is full (${waiting.length} jobs waiting), try again later`, 503);
+      }
+    },
+
+    // Queues `run` (the job's whole background work) for the wallet with this address
+    add(id, wallet, run) {
+      waiting.push({ id, wallet: wallet.toLowerCase(), run });
+      drain();
+    },
+
+    // Takes a job that has not started out of the queue; false when it is not waiting
+    remove(id) {
+      const index = waiting.findIndex((entry) => entry.id === id);
+      if (index < 0) return false;
+      waiting.splice(index, 1);
+      return true;
+    },
+
+    // 1-based place of a waiting job, or null once it runs
+    position(id) {
+      const index = waiting.findIndex((entry) => entry.id === id);
+      return index < 0 ? null : index + 1;
+    },
+
+    get running() {
+      return running.size;
+    },
+
+    get queued() {
+      return waiting.length;
+    }
+  };
+}
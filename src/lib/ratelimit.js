@@ -0,0 +1,36 @@
+// Fixed-window request counter: each key may make `max` requests per `windowMs`.
+// `hit(key, max)` counts one request; a per-call `max` overrides the default.
+export function createRateLimiter({ windowMs = 60000, max = 0 } = {}) {
+  const windows = new Map(); // key -> { count, resetAt }
+  let nextSweep = Date.now() + windowMs;
+
+  return {
+    hit(key, limit = max) {
+      const now = Date.now();
+
+      // Forget clients whose window has passed, so the map does not grow without bound
+      if (now >= nextSweep) {
+        for (const [client, window] of windows) {
+          if (now >= window.resetAt) windows.delete(client);
+        }
+        nextSweep = now + windowMs;
+      }
+
+      if (!limit || limit <= 0) return null;
+
+      let window = windows.get(key);
+      if (!window || now >= window.resetAt) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+
+      return {
+        allowed: window.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - window.count),
+        resetAt: window.resetAt
+      };
+    }
+  };
+}
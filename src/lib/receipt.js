@@ -0,0 +1,151 @@
+import { ethers } from "ethers";
+import { sleep } from "./common.js";
+import { resolveFees, feePaid } from "./fees.js";
+import { sendWithPolicy } from "./policy.js";
+import { releaseNonce } from "./nonce.js";
+import { REPLACEMENT_FEE_BUMP } from "../constant/constant.js";
+
+const bump = (value) => (value * REPLACEMENT_FEE_BUMP + 999n) / 1000n;
+const max = (a, b) => (a > b ? a : b);
+
+// Fee fields for a replacement of `original`: at least 12.5% over what it offered
+// and never below what the network asks for right now
+export async function replacementFees(provider, original, fee = "fast") {
+  const current = await resolveFees(provider, { fee });
+
+  if (original.maxFeePerGas != null) {
+    const maxPriorityFeePerGas = max(bump(original.maxPriorityFeePerGas), current.maxPriorityFeePerGas ?? 0n);
+    const maxFeePerGas = max(max(bump(original.maxFeePerGas), current.maxFeePerGas ?? current.gasPrice), maxPriorityFeePerGas);
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  return { type: 0, gasPrice: max(bump(original.gasPrice), current.gasPrice ?? current.maxFeePerGas) };
+}
+
+// Re-sends `original` with the same nonce and higher fees. With `cancel` the
+// replacement is a zero-value transfer to self, which voids the original.
+export async function replaceTransaction(wallet, original, { cancel = false, fee } = {}) {
+  const fees = await replacementFees(wallet.provider, original, fee);
+
+  return sendWithPolicy(wallet, {
+    to: cancel ? wallet.address : original.to,
+    data: cancel ? "0x" : original.data,
+    value: cancel ? 0n : original.value,
+    gasLimit: cancel ? 21000n : original.gasLimit,
+    nonce: original.nonce,
+    chainId: original.chainId,
+    ...fees
+  }, { replacement: true });
+}
+
+async function findReceipt(provider, hashes) {
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+// Waits for `sent` to be mined. Every `receiptTimeout` seconds without a receipt it is
+// replaced with a fee-bumped copy (same nonce), up to `maxReplacements` times. All hashes
+// stay watched since any one of them may end up mined. Resolves with a null receipt when
+// the last replacement also times out. `metrics` (from transactionMetrics) counts the tx
+// as sent, its replacements and how it settled; `logger` logs the same.
+export async function waitForReceipt(provider, wallet, sent, options = {}) {
+  const { receiptTimeout = 120, maxReplacements = 3, fee, onReplaced, metrics, logger } = options;
+  metrics?.sent();
+  logger?.info("Sent", { nonce: sent.nonce, hash: sent.hash });
+  const pollInterval = Math.min(provider.pollingInterval || 4000, 4000);
+
+  let current = sent;
+  const hashes = [sent.hash];
+  const replaced = [];
+
+  for (let round = 0; ; round++) {
+    const deadline = Date.now() + receiptTimeout * 1000;
+    while (Date.now() < deadline) {
+      const receipt = await findReceipt(provider, hashes);
+      if (receipt) {
+        metrics?.settled(receipt);
+        logger?.[receipt.status === 1 ? "info" : "warn"](receipt.status === 1 ? "Confirmed" : "Reverted", {
+          nonce: sent.nonce,
+          hash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed
+        });
+        return { receipt, hash: receipt.hash, replaced };
+      }
+      await sleep(pollInterval);
+    }
+
+    if (round >= maxReplacements) {
+      metrics?.settled(null);
+      logger?.warn("Not mined after every replacement, check the hash manually", { nonce: sent.nonce, hash: current.hash });
+      return { receipt: null, hash: current.hash, replaced };
+    }
+
+    try {
+      const replacement = await replaceTransaction(wallet, current, { fee });
+      replaced.push(current.hash);
+      metrics?.replaced();
+      logger?.warn("Stuck, replaced with higher fees", { nonce: sent.nonce, hash: replacement.hash, previousHash: current.hash, attempt: round + 1 });
+      hashes.push(replacement.hash);
+      if (onReplaced) onReplaced({ previousHash: current.hash, hash: replacement.hash, attempt: round + 1 });
+      current = replacement;
+    } catch (err) {
+      // The original got mined between the last poll and the replacement
+      if (ethers.isError(err, "NONCE_EXPIRED")) continue;
+      throw err;
+    }
+  }
+}
+
+// waitForReceipt for senders that retry: once `sent` is broadcast, neither a failure while
+// waiting (a refused or underpriced replacement, every RPC down) nor a missing receipt may
+// lead to a second send. Every hash is looked up: a tx the node still knows is reported
+// pending, and with `unreachable: true` when the node could not be asked. Only when the
+// node knows none of its hashes is the nonce released and an error thrown, so the caller
+// may send it again.
+export async function settleTransaction(provider, wallet, sent, options = {}) {
+  const { metrics, logger } = options;
+  const hashes = [sent.hash];
+  const replaced = [];
+
+  try {
+    const result = await waitForReceipt(provider, wallet, sent, {
+      ...options,
+      onReplaced: (replacement) => {
+        replaced.push(replacement.previousHash);
+        hashes.push(replacement.hash);
+        if (options.onReplaced) options.onReplaced(replacement);
+      }
+    });
+    if (result.receipt) return result;
+  } catch (err) {
+    logger?.warn("Waiting for the receipt failed", { nonce: sent.nonce, hash: hashes.at(-1), error: err });
+
+    const receipt = await findReceipt(provider, hashes).catch(() => null);
+    if (receipt) {
+      metrics?.settled(receipt);
+      return { receipt, hash: receipt.hash, replaced };
+    }
+  }
+
+  const hash = hashes.at(-1);
+  const states = await Promise.all(hashes.map((h) => provider.getTransaction(h).then((tx) => (tx ? "known" : "unknown"), () => "unreachable")));
+  if (states.includes("known")) return { receipt: null, hash, replaced };
+  // Better pending than paid twice
+  if (states.includes("unreachable")) return { receipt: null, hash, replaced, unreachable: true };
+
+  await releaseNonce(provider, wallet.address, sent.nonce);
+  logger?.warn("Dropped by the node before it was mined", { nonce: sent.nonce, hash });
+  throw new Error(`tx ${hash} was dropped before it was mined`);
+}
+
+// Result fields for a tx that may still be pending
+export function receiptFields(receipt) {
+  if (!receipt) {
+    return { blockNumber: null, status: null, pending: true };
+  }
+  return { blockNumber: receipt.blockNumber, status: receipt.status, ...feePaid(receipt) };
+}
@@ -0,0 +1,122 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+// How many problems are spelled out in an error message before it is cut short
+const MAX_LISTED = 5;
+
+function parseCsv(content) {
+  const rows = [];
+
+  content.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const [address = "", amount = ""] = trimmed.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ""));
+    // A first row that is neither an address nor an amount is a header
+    if (rows.length === 0 && !ethers.isHexString(address) && !AMOUNT_PATTERN.test(amount)) return;
+
+    rows.push({ row: i + 1, address, amount });
+  });
+
+  return rows;
+}
+
+// Reads `address,amount` rows from a .csv file, or a .json array of
+// { address, amount } objects (`to` works as well) or [address, amount] pairs
+export function readRecipientsFile(file) {
+  const content = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    const entries = JSON.parse(content);
+    if (!Array.isArray(entries)) {
+      throw new Error(`${file} must contain an array of recipients`);
+    }
+    return entries;
+  }
+
+  return parseCsv(content);
+}
+
+function normalizeEntry(entry, i) {
+  if (Array.isArray(entry)) {
+    return { row: i + 1, address: String(entry[0] ?? "").trim(), amount: String(entry[1] ?? "").trim() };
+  }
+  return {
+    row: entry?.row ?? i + 1,
+    address: String(entry?.address ?? entry?.to ?? "").trim(),
+    amount: String(entry?.amount ?? "").trim()
+  };
+}
+
+// Splits recipient rows into valid recipients, invalid rows and duplicated addresses.
+// Amounts are converted to token units when `decimals` is known.
+export function validateRecipients(entries, decimals) {
+  const recipients = [];
+  const invalid = [];
+  const rowsByAddress = new Map();
+
+  entries.forEach((entry, i) => {
+    const { row, address, amount } = normalizeEntry(entry, i);
+    let units = null;
+    let error = null;
+
+    if (!ethers.isAddress(address)) {
+      error = "invalid address";
+    } else if (ethers.getAddress(address) === ethers.ZeroAddress) {
+      error = "zero address";
+    } else if (!AMOUNT_PATTERN.test(amount)) {
+      error = "invalid amount";
+    } else if (decimals != null) {
+      try {
+        units = ethers.parseUnits(amount, decimals);
+      } catch (e) {
+        error = `amount has more than ${decimals} decimals`;
+      }
+    }
+    if (!error && (units === 0n || Number(amount) === 0)) {
+      error = "amount is zero";
+    }
+
+    if (error) {
+      invalid.push({ row, address, amount, error });
+      return;
+    }
+
+    const checksummed = ethers.getAddress(address);
+    rowsByAddress.set(checksummed, [...(rowsByAddress.get(checksummed) || []), row]);
+    recipients.push({ row, address: checksummed, amount, units });
+  });
+
+  const duplicates = [...rowsByAddress]
+    .filter(([, rows]) => rows.length > 1)
+    .map(([address, rows]) => ({ address, rows }));
+
+  return { recipients, invalid, duplicates };
+}
+
+// Reasons not to send the list; duplicates only count when they are not allowed
+export function recipientProblems({ recipients, invalid, duplicates }, { allowDuplicates = false } = {}) {
+  const problems = [];
+
+  if (recipients.length === 0 && invalid.length === 0) {
+    problems.push("Recipient list is empty");
+  }
+  if (invalid.length > 0) {
+    const listed = invalid.slice(0, MAX_LISTED).map(({ row, error }) => `row ${row}: ${error}`).join(", ");
+    problems.push(`${invalid.length} invalid recipient row(s) (${listed}${invalid.length > MAX_LISTED ? ", ..." : ""})`);
+  }
+  if (duplicates.length > 0 && !allowDuplicates) {
+    const listed = duplicates.slice(0, MAX_LISTED).map(({ address, rows }) => `${address} on rows ${rows.join(", ")}`).join("; ");
+    problems.push(`${duplicates.length} duplicated recipient(s) (${listed}${duplicates.length > MAX_LISTED ? "; ..." : ""})`);
+  }
+
+  return problems;
+}
+
+// Report of a validated list, without the recipients themselves
+export function recipientReport({ recipients, invalid, duplicates }) {
+  return { count: recipients.length, invalid, duplicates };
+}
@@ -0,0 +1,212 @@
+import { ethers } from "ethers";
+import { string, integer, number, boolean, decimal, address, hex, record, array, oneOf, object, oneRequired, custom } from "./validate.js";
+import { FEE_STRATEGIES, MAX_IN_FLIGHT } from "../constant/constant.js";
+
+// Request schemas of the HTTP API, one per route body, query or path
+
+const RPC_URL = /^https?:\/\/\S+$/;
+const RPC_LIST = /^https?:\/\/[^,\s]+(\s*,\s*https?:\/\/[^,\s]+)*$/;
+
+const walletFields = {
+  privateKey: hex({ bytes: 32 }),
+  walletId: string({ minLength: 1 }),
+  accountIndex: integer({ min: 0 })
+};
+
+const chainFields = {
+  rpc: oneOf(string({ pattern: RPC_LIST }), array(string({ pattern: RPC_URL }), { minItems: 1 })),
+  network: string({ minLength: 1 })
+};
+
+// Gas limits pass through BigInt, so digit strings are fine too
+const gasLimit = oneOf(integer({ min: 21000 }), string({ pattern: /^\d+$/ }));
+
+const fee = oneOf(
+  string({ enum: Object.keys(FEE_STRATEGIES) }),
+  object(
+    { maxFeePerGas: decimal({ allowNumber: true }), maxPriorityFeePerGas: decimal({ allowNumber: true }) },
+    { required: ["maxFeePerGas"], description: "Explicit fee caps in gwei" }
+  )
+);
+
+const sendFields = {
+  gasPrice: decimal({ allowNumber: true }),
+  fee,
+  receiptTimeout: number({ min: 1, max: 3600 }),
+  maxReplacements: integer({ min: 0, max: 20 }),
+  broadcast: oneOf(boolean(), integer({ min: 1 }))
+};
+
+const jobFields = {
+  webhookUrl: string({ pattern: /^https?:\/\/\S+$/ }),
+  delay: number({ min: 0, max: 3600 }),
+  retries: integer({ min: 1, max: 20 }),
+  inFlight: integer({ min: 1, max: MAX_IN_FLIGHT })
+};
+
+const aggregateFields = {
+  aggregate: boolean(),
+  disperse: address(),
+  chunkSize: integer({ min: 1, max: 1000 }),
+  maxChunkGas: integer({ min: 21000 })
+};
+
+const requireChain = (value) => oneRequired(value, "rpc", "network");
+
+// ABI as JSON fragments or human-readable signatures; ethers.Interface would skip bad ones
+const abi = custom({ type: "array", items: { type: ["string", "object"] } }, (value) => {
+  if (!Array.isArray(value)) return "must be an array";
+  for (const [i, fragment] of value.entries()) {
+    try {
+      ethers.Fragment.from(fragment);
+    } catch (err) {
+      return `has an invalid fragment at ${i} (${err.shortMessage || err.message})`;
+    }
+  }
+  return null;
+});
+
+const callFields = {
+  contract: address(),
+  abi,
+  method: string({ minLength: 1 }),
+  params: array()
+};
+
+function methodInAbi({ abi, method }) {
+  let found = null;
+  try {
+    found = new ethers.Interface(abi).getFunction(method);
+  } catch (err) {
+    // Ambiguous names throw; they need the full signature
+  }
+  return found ? null : { field: "method", message: "is not a function of abi (use the full signature for overloaded functions)" };
+}
+
+export const batch = object(
+  {
+    ...walletFields,
+    ...chainFields,
+    token: address(),
+    to: address(),
+    // Rows are checked (and reported one by one) by the recipient validation
+    recipients: array(null, { minItems: 1 }),
+    allowDuplicates: boolean(),
+    count: integer({ min: 1, max: 10000 }),
+    min: decimal({ allowNumber: true }),
+    max: decimal({ allowNumber: true }),
+    ...jobFields,
+    ...sendFields,
+    ...aggregateFields,
+    dryRun: boolean(),
+    logDir: string({ minLength: 1 })
+  },
+  {
+    required: ["token"],
+    description: "Needs rpc or network, and to (random amounts between min and max) or recipients.",
+    rules: (value) => [
+      requireChain(value),
+      oneRequired(value, "to", "recipients"),
+      value.min != null && value.max != null && Number(value.min) > Number(value.max)
+        ? { field: "min", message: "must not be greater than max" }
+        : null
+    ]
+  }
+);
+
+export const resume = object(walletFields);
+
+export const sign = object({ ...walletFields, message: string({ minLength: 1 }) }, { required: ["message"] });
+
+export const signTyped = object(
+  { ...walletFields, domain: record(), types: record(), value: record() },
+  { required: ["domain", "types", "value"] }
+);
+
+export const call = object(
+  { ...chainFields, ...callFields },
+  { required: ["contract", "abi", "method"], description: "Needs rpc or network.", rules: (value) => [requireChain(value), methodInAbi(value)] }
+);
+
+export const send = object(
+  { ...walletFields, ...chainFields, ...callFields, value: decimal(), gasLimit, ...sendFields, simulate: boolean() },
+  { required: ["contract", "abi", "method"], description: "Needs rpc or network.", rules: (value) => [requireChain(value), methodInAbi(value)] }
+);
+
+export const sendRaw = object(
+  { ...walletFields, ...chainFields, to: address(), data: hex(), value: decimal(), gasLimit, ...sendFields, chainId: integer({ min: 1 }), abi, simulate: boolean() },
+  { required: ["to", "data"], description: "Needs rpc or network.", rules: requireChain }
+);
+
+const rawTransaction = object(
+  {
+    to: address(),
+    data: hex(),
+    value: decimal(),
+    gasLimit,
+    gasPrice: decimal({ allowNumber: true }),
+    fee,
+    chainId: integer({ min: 1 }),
+    count: integer({ min: 1, max: 1000 }),
+    abi
+  },
+  { required: ["to", "data"] }
+);
+
+export const batchSendRaw = object(
+  { ...walletFields, ...chainFields, transactions: array(rawTransaction, { minItems: 1, maxItems: 1000 }), gasLimit, ...jobFields, ...sendFields, abi, simulate: boolean() },
+  { required: ["transactions"], description: "Needs rpc or network.", rules: requireChain }
+);
+
+// Keys never go in a query string, so only the wallet references are accepted here
+export const walletInfo = object({ walletId: walletFields.walletId, accountIndex: walletFields.accountIndex, ...chainFields }, { description: "Needs rpc or network.", rules: requireChain, coerce: true });
+
+export const generateWallets = object({
+  count: integer({ min: 1, max: 100 }),
+  mnemonic: oneOf(boolean(), string({ minLength: 1 })),
+  startIndex: integer({ min: 0 }),
+  format: string({ enum: ["plain", "keystore", "vault"] }),
+  password: string(),
+  label: string({ maxLength: 100 })
+});
+
+const ethTransfer = object({ to: address(), amount: decimal() }, { required: ["to", "amount"] });
+
+export const sendEth = object(
+  {
+    ...walletFields,
+    ...chainFields,
+    to: address(),
+    amount: decimal(),
+    transactions: array(ethTransfer, { minItems: 1 }),
+    ...jobFields,
+    ...sendFields,
+    ...aggregateFields
+  },
+  {
+    description: "Needs rpc or network, and to with amount or transactions.",
+    rules: (value) => [
+      requireChain(value),
+      oneRequired(value, "to", "transactions"),
+      value.to && !value.amount ? { field: "amount", message: "is required with to" } : null
+    ]
+  }
+);
+
+export const addWallet = object(
+  { privateKey: hex({ bytes: 32 }), mnemonic: string({ minLength: 1 }), accountIndex: integer({ min: 0 }), label: string({ maxLength: 100 }) },
+  { description: "Needs privateKey or mnemonic.", rules: (value) => oneRequired(value, "privateKey", "mnemonic") }
+);
+
+export const labelWallet = object({ label: string({ maxLength: 100, nullable: true }) });
+
+export const txHash = object({ hash: hex({ bytes: 32 }) });
+
+export const replaceTx = object({ ...walletFields, ...chainFields, fee, broadcast: sendFields.broadcast }, { description: "Needs rpc or network.", rules: requireChain });
+
+export const policyDecisions = object(
+  { wallet: address(), allowed: string({ enum: ["true", "false"] }), limit: integer({ min: 1, max: 1000 }) },
+  { coerce: true }
+);
+
+export const rpcHealth = object(chainFields, { description: "Needs rpc or network.", rules: requireChain });
@@ -0,0 +1,104 @@
+import { ethers } from "ethers";
+import { RequestError, SimulationError } from "./errors.js";
+
+// Pre-flight eth_call of a transaction before it is signed, with revert data decoded into a
+// reason: Error(string), Panic(uint256) or a custom error from the supplied ABI
+
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array",
+  0x31: "pop on an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialized function"
+};
+
+// Decoded values as JSON: numbers as strings, tuples and arrays as arrays
+const plain = (value) => (typeof value === "bigint" ? value.toString() : Array.isArray(value) ? [...value].map(plain) : value);
+
+// `data` is the raw revert data, `abi` (optional) supplies the custom errors to match.
+// Returns { reason, error: { name, signature, args } for custom errors, data }.
+export function decodeRevert(data, abi) {
+  if (!data || data === "0x") return { reason: "reverted without a reason", data: data || null };
+
+  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  const selector = ethers.dataSlice(data, 0, 4);
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [message] = abiCoder.decode(["string"], ethers.dataSlice(data, 4));
+      return { reason: message, data };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = abiCoder.decode(["uint256"], ethers.dataSlice(data, 4));
+      return { reason: `panic 0x${code.toString(16)} (${PANIC_REASONS[Number(code)] || "unknown panic code"})`, data };
+    }
+    const parsed = abi ? new ethers.Interface(abi).parseError(data) : null;
+    if (parsed) {
+      const args = parsed.fragment.inputs.map((input, i) => [input.name || String(i), plain(parsed.args[i])]);
+      return {
+        reason: `${parsed.name}(${args.map(([, value]) => JSON.stringify(value)).join(", ")})`,
+        error: { name: parsed.name, signature: parsed.signature, args: Object.fromEntries(args) },
+        data
+      };
+    }
+  } catch (err) {
+    // Malformed revert data; reported by its selector below
+  }
+  return { reason: `custom error ${selector}${abi ? " not in the abi" : " (pass the contract's abi to decode it)"}`, data };
+}
+
+// Revert data of a failed call; nodes put it in different places
+function revertData(err) {
+  for (const value of [err.data, err.info?.error?.data, err.error?.data]) {
+    if (ethers.isHexString(value)) return value;
+  }
+  return null;
+}
+
+// Runs `tx` as an eth_call from its sender (unless `call` is false) and, without a gasLimit,
+// estimates its gas. { ok: true, gasEstimate } when it would succeed, { ok: false, revert }
+// when it would revert, { ok: null, error } when the node could not tell (e.g. it failed itself).
+export async function simulateTransaction(provider, tx, { abi, call: run = true } = {}) {
+  const call = { from: tx.from, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit };
+  try {
+    if (run) await provider.call(call);
+    const gasEstimate = tx.gasLimit == null ? await provider.estimateGas(call) : null;
+    return { ok: true, gasEstimate };
+  } catch (err) {
+    if (ethers.isError(err, "CALL_EXCEPTION")) return { ok: false, revert: decodeRevert(revertData(err), abi) };
+    return { ok: null, error: err.shortMessage || err.message };
+  }
+}
+
+// Simulates `txRequest` before it is signed and fills in its gasLimit from the estimate.
+// A revert throws a SimulationError. An inconclusive simulation throws too when it is
+// `required` or a gas limit is missing; otherwise the tx goes ahead with a warning.
+// With `simulate` off (and not required), only a missing gas limit is estimated, which
+// throws on a revert just the same. Returns the outcome for the result: { status: "ok" |
+// "estimated", gasEstimate } or { status: "inconclusive", error }.
+export async function preflight(provider, txRequest, { from, abi, simulate = true, required = false, logger }) {
+  const call = simulate || required;
+  if (!call && txRequest.gasLimit != null) return undefined;
+
+  const result = await simulateTransaction(provider, { ...txRequest, from }, { abi, call });
+  if (result.ok === false) {
+    logger?.warn("Simulation reverted, not sending", { to: txRequest.to, reason: result.revert.reason });
+    throw new SimulationError(result.revert);
+  }
+  if (result.ok === null) {
+    if (required || txRequest.gasLimit == null) {
+      throw new RequestError(`Simulation failed: ${result.error}`, 502);
+    }
+    logger?.warn("Simulation inconclusive, sending anyway", { to: txRequest.to, error: result.error });
+    return { status: "inconclusive", error: result.error };
+  }
+
+  if (txRequest.gasLimit == null) txRequest.gasLimit = result.gasEstimate;
+  return { status: call ? "ok" : "estimated", gasEstimate: result.gasEstimate?.toString() };
+}
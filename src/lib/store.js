@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// Fields that must never be written to disk or returned with a job
+const SECRET_FIELDS = ["privateKey"];
+
+// Statuses of a job whose batch loop was still alive
+export const IN_FLIGHT_STATUSES = ["queued", "running", "paused", "cancelling"];
+
+export function sanitizeConfig(config = {}) {
+  const clean = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (SECRET_FIELDS.includes(key) || value === undefined) continue;
+    clean[key] = value;
+  }
+  return clean;
+}
+
+// Highest nonce among the job's transactions that made it into a block
+export function lastConfirmedNonce(job) {
+  const entries = [...(job.transactions || []), ...(job.results || [])];
+  let last = null;
+  for (const tx of entries) {
+    if (tx.blockNumber == null || tx.nonce == null) continue;
+    if (last === null || tx.nonce > last) last = tx.nonce;
+  }
+  return last;
+}
+
+function createMemoryStore() {
+  const jobs = new Map();
+
+  return {
+    get: (jobId) => jobs.get(jobId),
+    set: (jobId, job) => {
+      jobs.set(jobId, job);
+      return job;
+    },
+    save: () => {},
+    delete: (jobId) => jobs.delete(jobId),
+    values: () => jobs.values(),
+    get size() {
+      return jobs.size;
+    }
+  };
+}
+
+function createFileStore(dir) {
+  const store = createMemoryStore();
+  const jobPath = (jobId) => path.join(dir, `${jobId}.json`);
+
+  const write = (job) => {
+    const file = jobPath(job.id);
+    const data = JSON.stringify(
+      { ...job, config: sanitizeConfig(job.config) },
+      (key, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    );
+    // Write to a temp file first so a crash mid-write never leaves a truncated job
+    fs.writeFileSync(`${file}.tmp`, data);
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+
+    let job;
+    try {
+      job = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (err) {
+      logger.warn("Skipping unreadable job file", { file, error: err });
+      continue;
+    }
+
+    // Anything still in flight when the process stopped can no longer be trusted
+    if (IN_FLIGHT_STATUSES.includes(job.status)) {
+      job.status = "interrupted";
+      job.lastNonce = lastConfirmedNonce(job);
+      job.error = "Server stopped while the job was in progress";
+      job.endTime = Date.now();
+      write(job);
+    }
+
+    store.set(job.id, job);
+  }
+
+  return {
+    ...store,
+    set: (jobId, job) => {
+      store.set(jobId, job);
+      write(job);
+      return job;
+    },
+    // A job deleted while its loop still runs must not be written back
+    save: (job) => {
+      if (store.get(job.id)) write(job);
+    },
+    delete: (jobId) => {
+      const deleted = store.delete(jobId);
+      if (deleted && fs.existsSync(jobPath(jobId))) {
+        fs.unlinkSync(jobPath(jobId));
+      }
+      return deleted;
+    },
+    get size() {
+      return store.size;
+    }
+  };
+}
+
+export function createJobStore({ driver = "file", dir = "data/jobs" } = {}) {
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore(dir);
+    default:
+      throw new Error(`Unknown job store driver: ${driver}`);
+  }
+}
@@ -1,30 +1,245 @@
 import { ethers } from "ethers";
-import fs from "fs";
-import { sleep, randomDecimalString } from "./common.js";
-import { ERC20_ABI, CHAIN_ID_LINEA } from "../constant/constant.js";
+import { randomDecimalString } from "./common.js";
+import { createJobControl } from "./control.js";
+import { createTxLogPath, writeTxLog, readTxLog, reconcileTxLog } from "./txlog.js";
+import { resolveFees, maxGasPrice, feePaid } from "./fees.js";
+import { withNonce } from "./nonce.js";
+import { settleTransaction } from "./receipt.js";
+import { connectNetwork, explorerTxUrl } from "./networks.js";
+import { validateRecipients, recipientProblems, recipientReport } from "./recipients.js";
+import { disperseContract, nextChunk, adaptChunkSize, chunkGasLimit } from "./disperse.js";
+import { runPipeline } from "./pipeline.js";
+import { sendWithPolicy } from "./policy.js";
+import { transactionMetrics } from "./metrics.js";
+import { logger as rootLogger } from "./logger.js";
+import { PolicyViolation, PendingTransactionError } from "./errors.js";
+import { ERC20_ABI, DISPERSE_CHUNK_SIZE, DISPERSE_MAX_GAS } from "../constant/constant.js";
+
+// Gas limit for one transfer: the node's estimate plus headroom, kept within sane bounds
+async function transferGasLimit(contract, toAddress, units, fallback) {
+  try {
+    const estimate = await contract.transfer.estimateGas(toAddress, units);
+    return Math.min(Math.max(Number(estimate) + 2000, 80000), 250000);
+  } catch (e) {
+    return Math.min(Math.max(fallback + 2000, 80000), 250000);
+  }
+}
+
+// Estimates and simulates (eth_call) every pending transfer without broadcasting
+async function simulateTransfers(contract, planned, done, logger) {
+  const transactions = [];
+
+  for (let i = 0; i < planned.length; ++i) {
+    if (done.has(i + 1) || planned[i].units === 0n) continue;
+
+    const { display, units, to, row } = planned[i];
+    const tx = { index: i + 1, row, to, amount: display, units: units.toString(), gasEstimate: null, simulation: "ok" };
+
+    try {
+      tx.gasEstimate = Number(await contract.transfer.estimateGas(to, units));
+      const ok = await contract.transfer.staticCall(to, units);
+      if (!ok) tx.simulation = "transfer returned false";
+    } catch (err) {
+      tx.simulation = err.shortMessage || err.message;
+    }
+
+    logger.debug(`Planned tx #${tx.index}`, { txIndex: tx.index, to, amount: display, gasEstimate: tx.gasEstimate, simulation: tx.simulation });
+    transactions.push(tx);
+  }
+
+  return transactions;
+}
+
+// Dry run of an aggregated batch: sizes the disperse chunks and estimates and simulates
+// each one. Both need the allowance in place, so when it is too small the approve is
+// estimated and the chunks are only sized.
+async function simulateChunks(contract, disperser, sender, pending, options) {
+  const { decimals, chunkSize, maxChunkGas, logger } = options;
+  const token = contract.target;
+  const spender = disperser.target;
+  const total = pending.reduce((sum, { units }) => sum + units, 0n);
+  const approved = (await contract.allowance(sender, spender)) >= total;
+  const transactions = [];
+
+  if (!approved) {
+    const tx = { type: "approve", spender, units: total.toString(), gasEstimate: null, simulation: "ok" };
+    try {
+      tx.gasEstimate = Number(await contract.approve.estimateGas(spender, total));
+    } catch (err) {
+      tx.simulation = err.shortMessage || err.message;
+    }
+    transactions.push(tx);
+  }
+
+  const estimate = (chunk) => disperser.disperseToken.estimateGas(token, chunk.map(({ to }) => to), chunk.map(({ units }) => units));
+
+  let size = chunkSize;
+  for (let position = 0; position < pending.length; ) {
+    let chunk = pending.slice(position, position + size);
+    let gasEstimate = null;
+    let simulation = "skipped";
+
+    if (approved) {
+      try {
+        const next = await nextChunk(pending, position, size, estimate, maxChunkGas);
+        chunk = next.chunk;
+        gasEstimate = Number(next.gas);
+        await disperser.disperseToken.staticCall(token, chunk.map(({ to }) => to), chunk.map(({ units }) => units));
+        simulation = "ok";
+        size = adaptChunkSize(chunkSize, next, maxChunkGas);
+      } catch (err) {
+        // nextChunk only gives up on a single transfer, so that one is the culprit
+        chunk = pending.slice(position, position + 1);
+        simulation = err.shortMessage || err.message;
+      }
+    }
+
+    const units = chunk.reduce((sum, item) => sum + item.units, 0n);
+    const tx = {
+      type: "disperse",
+      indexes: chunk.map(({ index }) => index),
+      recipients: chunk.length,
+      amount: ethers.formatUnits(units, decimals),
+      units: units.toString(),
+      gasEstimate,
+      simulation
+    };
+    logger.debug(`Planned disperse of #${tx.indexes[0]}-#${tx.indexes.at(-1)}`, { txIndexes: tx.indexes, gasEstimate, simulation });
+    transactions.push(tx);
+    position += chunk.length;
+  }
+
+  return transactions;
+}
+
+// Signs and broadcasts `txRequest` with the next nonce, records `entry` in the tx log before
+// waiting (calling `onSent` then) and fills in the receipt. A tx the node dropped is taken
+// out of the log and its nonce released; the thrown error makes the caller send it again.
+// One that could not be checked at all throws a PendingTransactionError, which callers must
+// not retry: it stays in the log, so a resume reconciles it.
+async function sendLogged(ctx, txRequest, entry, onSent) {
+  const { provider, wallet, sender, chain, txLog, log, logPath, receiptTimeout, maxReplacements, metrics } = ctx;
+  const logger = ctx.logger.child({ txIndex: entry.index, txIndexes: entry.indexes, type: entry.type });
+
+  const { nonce, sent } = await withNonce(provider, sender, async (nonce) => {
+    const sent = await sendWithPolicy(wallet, { ...txRequest, nonce }, {
+      send: async (tx) => provider.broadcastTransaction(await wallet.signTransaction(tx))
+    });
+    return { nonce, sent };
+  });
+
+  // Log the hash before waiting so a crash here can't lead to a double send on resume
+  Object.assign(entry, {
+    nonce,
+    hash: sent.hash,
+    rpc: provider.servedBy(sent.hash),
+    explorerUrl: explorerTxUrl(chain, sent.hash)
+  });
+  txLog.push(entry);
+  writeTxLog(logPath, log);
+  if (onSent) onSent();
+
+  let settled;
+  try {
+    settled = await settleTransaction(provider, wallet, sent, {
+      receiptTimeout,
+      maxReplacements,
+      metrics,
+      logger,
+      onReplaced: ({ previousHash, hash }) => {
+        entry.replaced = [...(entry.replaced || []), previousHash];
+        entry.hash = hash;
+        entry.rpc = provider.servedBy(hash) || entry.rpc;
+        entry.explorerUrl = explorerTxUrl(chain, hash);
+        writeTxLog(logPath, log);
+      }
+    });
+  } catch (err) {
+    // Dropped by the node, which freed its nonce: take it out of the log so it is sent again
+    txLog.splice(txLog.indexOf(entry), 1);
+    writeTxLog(logPath, log);
+    throw err;
+  }
+
+  const { receipt } = settled;
+  if (receipt) {
+    entry.hash = receipt.hash;
+    entry.explorerUrl = explorerTxUrl(chain, receipt.hash);
+  } else if (settled.unreachable) {
+    // The entry and its nonce stay, so a resume checks it again instead of sending it twice
+    throw new PendingTransactionError(entry.hash);
+  }
+
+  entry.blockNumber = receipt?.blockNumber;
+  entry.status = receipt?.status;
+  if (receipt) Object.assign(entry, feePaid(receipt));
+  writeTxLog(logPath, log);
+  return entry;
+}
+
+// Per-recipient view of an aggregated batch: each planned transfer with the disperse tx that paid it
+function transferResults(planned, txLog) {
+  const byIndex = new Map();
+  for (const tx of txLog) {
+    for (const index of tx.indexes || []) byIndex.set(index, tx);
+  }
+
+  return planned.map(({ display, to, row }, i) => {
+    const tx = byIndex.get(i + 1);
+    return {
+      index: i + 1,
+      row,
+      to,
+      amount: display,
+      hash: tx?.hash ?? null,
+      status: tx?.status ?? null,
+      explorerUrl: tx?.explorerUrl ?? null
+    };
+  });
+}
 
 export async function executeBatchTransactions(config, callbacks = {}) {
   const {
     privateKey,
     rpc,
+    network, // Optional: registry key, supplies default RPCs and checks the chainId
     token,
     to,
+    recipients, // Optional: [{ address, amount }] rows to pay instead of random amounts to `to`
+    allowDuplicates = false, // Send to an address listed more than once
     count = 20,
     min = "0.01",
     max = "0.5",
     delay = 1.0,
     retries = 3,
+    fee = "normal", // Fee strategy (slow, normal, fast) or { maxFeePerGas, maxPriorityFeePerGas } in gwei
+    gasPrice, // Optional: legacy gas price in gwei, sends type-0 txs
+    receiptTimeout = 120, // Seconds before a pending tx is replaced with a fee-bumped copy
+    maxReplacements = 3,
+    broadcast = false, // Send signed txs to several of the `rpc` endpoints at once
+    inFlight = 1, // Txs sent ahead of their receipts; 1 waits for every receipt
+    aggregate = false, // Pack many transfers into each tx through the disperse contract
+    disperse, // Optional: disperse contract address, defaults to the network's
+    chunkSize = DISPERSE_CHUNK_SIZE, // Max transfers per disperse tx
+    maxChunkGas = DISPERSE_MAX_GAS, // Max gas per disperse tx, chunks are shrunk to fit
     logDir = "logs",
-    verbose = false
+    resume, // Optional: path of a tx log to continue instead of planning a new batch
+    dryRun = false, // Plan, estimate and simulate the batch without broadcasting
+    logger = rootLogger // Optional: child logger carrying e.g. the jobId
   } = config;
 
   const {
     onStart,
     onProgress,
     onComplete,
-    onError
+    onError,
+    onRetry,
+    control = createJobControl()
   } = callbacks;
 
+  let log = null;
+  let logPath = null;
+
   try {
     const startTime = Date.now();
 
@@ -32,156 +247,330 @@ export async function executeBatchTransactions(config, callbacks = {}) {
       throw new Error("PRIVATE_KEY not set");
     }
 
-    const provider = new ethers.JsonRpcProvider(rpc);
-    await provider.getBlockNumber();
+    const resumeLog = resume ? readTxLog(resume) : null;
+    if (resumeLog) logger.info("Resuming from tx log", { path: resume });
+
+    const { provider, network: chain, chainId } = await connectNetwork({ network, rpc, broadcast });
+    logger.debug("Connected", { network: chain?.key, chainId });
+
+    if (resumeLog?.chainId != null && BigInt(resumeLog.chainId) !== chainId) {
+      throw new Error(`Tx log was written on chain ${resumeLog.chainId}, but the RPC is on chain ${chainId}`);
+    }
 
     const wallet = new ethers.Wallet(privateKey, provider);
     const sender = await wallet.getAddress();
-    if (verbose) console.log("Using wallet:", sender);
-    if (onStart) onStart({ wallet: sender });
+    logger.debug("Using wallet", { wallet: sender });
+
+    if (resumeLog && ethers.getAddress(resumeLog.wallet) !== sender) {
+      throw new Error(`Tx log belongs to ${resumeLog.wallet}, not ${sender}`);
+    }
 
-    const tokenAddress = ethers.getAddress(token);
-    const toAddress = ethers.getAddress(to);
+    logPath = resume || (dryRun ? null : createTxLogPath(logDir));
+    if (onStart) onStart({ wallet: sender, logPath });
+
+    const tokenAddress = ethers.getAddress(resumeLog ? resumeLog.token : token);
+    // Null when paying a recipient list; every planned transfer then has its own `to`
+    const toAddress = (resumeLog ? resumeLog.to : to) ? ethers.getAddress(resumeLog ? resumeLog.to : to) : null;
     const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
 
+    // A resumed batch keeps the mode (and contract) it was started with
+    const disperseAddress = resumeLog ? resumeLog.disperse : (aggregate ? disperse : null);
+    const disperser = (resumeLog ? Boolean(resumeLog.disperse) : aggregate) ? await disperseContract(wallet, chain, disperseAddress) : null;
+    if (disperser) logger.debug("Aggregating transfers through the disperse contract", { disperse: disperser.target });
+
     const decimals = Number(await contract.decimals());
-    if (verbose) console.log("Token decimals:", decimals);
+    logger.debug("Token decimals", { token: tokenAddress, decimals });
 
     const tokenBalanceUnits = await contract.balanceOf(sender);
     const tokenBalanceFormatted = ethers.formatUnits(tokenBalanceUnits, decimals);
-    if (verbose) console.log("Token balance:", tokenBalanceFormatted);
+    logger.debug("Token balance", { balance: tokenBalanceFormatted });
 
     const nativeBalanceWei = await provider.getBalance(sender);
-    if (verbose) console.log("Native balance (ETH-ish):", ethers.formatEther(nativeBalanceWei));
+    logger.debug("Native balance", { balance: ethers.formatEther(nativeBalanceWei) });
+
+    const validation = !resumeLog && recipients ? validateRecipients(recipients, decimals) : null;
+    const problems = validation ? recipientProblems(validation, { allowDuplicates }) : [];
+    if (validation) logger.info("Recipients checked", { valid: validation.recipients.length, invalid: validation.invalid.length, duplicated: validation.duplicates.length });
+    // Like the balance check below, a dry run reports these instead of stopping
+    if (problems.length > 0 && !dryRun) {
+      throw new Error(problems.join("; "));
+    }
+    if (!resumeLog && !validation && !toAddress) {
+      throw new Error("Either to or recipients is required");
+    }
+
+    const planned = [];
+    if (resumeLog) {
+      for (const entry of resumeLog.planned) {
+        planned.push({ display: entry.amount, units: BigInt(entry.units), to: entry.to || toAddress, row: entry.row });
+      }
+    } else if (validation) {
+      for (const recipient of validation.recipients) {
+        planned.push({ display: recipient.amount, units: recipient.units, to: recipient.address, row: recipient.row });
+      }
+    } else {
+      for (let i = 0; i < count; ++i) {
+        const rndStr = randomDecimalString(min, max, 4);
+        const units = ethers.parseUnits(rndStr, decimals);
+        planned.push({ display: rndStr, units, to: toAddress });
+      }
+    }
 
     let estimatedGasPerTx = 120000;
     try {
       const sampleAmountUnits = tokenBalanceUnits > 0n ? ethers.parseUnits("0.01", decimals) : ethers.parseUnits("0.0001", decimals);
-      const gasEstimate = await contract.transfer.estimateGas(toAddress, sampleAmountUnits);
+      const gasEstimate = await contract.transfer.estimateGas(planned[0]?.to || sender, sampleAmountUnits);
       estimatedGasPerTx = Number(gasEstimate);
     } catch (e) {
-      if (verbose) console.warn("Could not estimate gas precisely, using fallback:", estimatedGasPerTx, "Error:", e.message);
+      logger.warn("Could not estimate gas precisely, using the fallback", { gasEstimate: estimatedGasPerTx, error: e });
     }
-    if (verbose) console.log("Estimated gas per tx:", estimatedGasPerTx);
+    logger.debug("Estimated gas per tx", { gasEstimate: estimatedGasPerTx });
 
-    const feeData = await provider.getFeeData();
-    const gasPrice = feeData.gasPrice || ethers.parseUnits("1", "gwei");
-    const estTotalGasCost = gasPrice * BigInt(Math.ceil(estimatedGasPerTx * count));
-    if (verbose) console.log("Current gasPrice (wei):", gasPrice.toString());
-    if (verbose) console.log("Estimated total gas cost (wei):", estTotalGasCost.toString(), " (~", ethers.formatEther(estTotalGasCost), "ETH )");
+    const estimatedFees = await resolveFees(provider, { fee, gasPrice });
+    const estGasPrice = maxGasPrice(estimatedFees);
+    const estTotalGasCost = estGasPrice * BigInt(Math.ceil(estimatedGasPerTx * planned.length));
+    logger.debug("Estimated total gas cost", { maxGasPrice: estGasPrice, cost: ethers.formatEther(estTotalGasCost) });
 
     if (nativeBalanceWei < estTotalGasCost) {
-      if (verbose) console.warn("Warning: native balance is less than estimated total gas cost — transactions may fail.");
+      logger.warn("Native balance is less than the estimated total gas cost, transactions may fail");
     }
 
-    const planned = [];
+    // On resume, only entries that succeeded on chain count as done
+    const txLog = resumeLog ? await reconcileTxLog(provider, resumeLog.transactions, logger) : [];
+    const done = new Set(txLog.filter((tx) => tx.status === 1).flatMap((tx) => tx.indexes || (tx.index ? [tx.index] : [])));
+    if (resumeLog) logger.info("Already confirmed", { confirmed: done.size, planned: planned.length });
+
     let sumUnits = 0n;
-    for (let i = 0; i < count; ++i) {
-      const rndStr = randomDecimalString(min, max, 4);
-      const units = ethers.parseUnits(rndStr, decimals);
-      planned.push({ display: rndStr, units });
-      sumUnits = sumUnits + units;
-    }
-    if (verbose) console.log("Total planned token amount (units):", sumUnits.toString(), " -> tokens:", ethers.formatUnits(sumUnits, decimals));
+    planned.forEach(({ units }, i) => {
+      if (!done.has(i + 1)) sumUnits = sumUnits + units;
+    });
+    logger.debug("Total planned token amount", { units: sumUnits, amount: ethers.formatUnits(sumUnits, decimals) });
     
-    if (sumUnits > tokenBalanceUnits) {
+    // A dry run reports this instead of stopping, so the rest of the plan is still shown
+    if (sumUnits > tokenBalanceUnits && !dryRun) {
       throw new Error("Planned total exceeds token balance");
     }
 
-    const txLog = [];
-    for (let i = 0; i < planned.length; ++i) {
-      const { display, units } = planned[i];
-      if (units === 0n) {
-        if (verbose) console.warn(`Skipping tx #${i + 1} because units == 0`);
-        continue;
+    // Transfers still to send, in order
+    const pending = planned
+      .map((item, i) => ({ ...item, index: i + 1 }))
+      .filter(({ index, units }) => !done.has(index) && units > 0n);
+
+    if (dryRun) {
+      const transactions = disperser
+        ? await simulateChunks(contract, disperser, sender, pending, { decimals, chunkSize, maxChunkGas, logger })
+        : await simulateTransfers(contract, planned, done, logger);
+      // Skipped chunks are counted as if every transfer was sent on its own
+      const estimatedGas = transactions.reduce((sum, tx) => sum + BigInt(tx.gasEstimate ?? estimatedGasPerTx * (tx.indexes?.length || 1)), 0n);
+      const estimatedFee = estimatedGas * estGasPrice;
+      const failed = transactions.filter((tx) => !["ok", "skipped"].includes(tx.simulation)).length;
+
+      const warnings = [];
+      if (sumUnits > tokenBalanceUnits) warnings.push("Planned total exceeds token balance");
+      if (nativeBalanceWei < estimatedFee) warnings.push("Native balance is less than the estimated fee");
+      if (failed > 0) warnings.push(`${failed} simulated transfer(s) failed`);
+      warnings.push(...problems);
+
+      const result = {
+        success: warnings.length === 0,
+        dryRun: true,
+        chainId: Number(chainId),
+        wallet: sender,
+        token: tokenAddress,
+        to: toAddress,
+        disperse: disperser?.target,
+        recipients: validation ? recipientReport(validation) : undefined,
+        decimals,
+        transactions,
+        failed,
+        totalAmount: ethers.formatUnits(sumUnits, decimals),
+        totalUnits: sumUnits.toString(),
+        estimatedGas: estimatedGas.toString(),
+        maxGasPrice: estGasPrice.toString(),
+        estimatedFee: ethers.formatEther(estimatedFee),
+        warnings,
+        duration: ((Date.now() - startTime) / 1000).toFixed(2),
+        balances: {
+          token: tokenBalanceFormatted,
+          native: ethers.formatEther(nativeBalanceWei)
+        }
+      };
+
+      if (onComplete) onComplete(result);
+      return result;
+    }
+
+    log = {
+      chainId: Number(chainId),
+      wallet: sender,
+      token: tokenAddress,
+      to: toAddress,
+      disperse: disperser?.target,
+      decimals,
+      status: "running",
+      planned: planned.map(({ display, units, to, row }, i) => ({ index: i + 1, row, to, amount: display, units: units.toString() })),
+      transactions: txLog
+    };
+    writeTxLog(logPath, log);
+
+    const metrics = transactionMetrics(chain);
+    const ctx = { provider, wallet, sender, chain, txLog, log, logPath, receiptTimeout, maxReplacements, metrics, logger };
+
+    let stoppedAt = null;
+    if (disperser) {
+      const spender = disperser.target;
+      const total = pending.reduce((sum, { units }) => sum + units, 0n);
+
+      // Approve exactly what is still to be sent, never an unlimited allowance
+      if (total > 0n && (await contract.allowance(sender, spender)) < total) {
+        logger.info("Approving the disperse contract", { spender, amount: ethers.formatUnits(total, decimals) });
+        const gasLimit = chunkGasLimit(await contract.approve.estimateGas(spender, total));
+        const fees = await resolveFees(provider, { fee, gasPrice });
+        const approval = await sendLogged(ctx, {
+          to: tokenAddress,
+          data: contract.interface.encodeFunctionData("approve", [spender, total]),
+          gasLimit,
+          ...fees,
+          chainId
+        }, { type: "approve", spender, units: total.toString() });
+        if (approval.status !== 1) {
+          throw new Error(`Approve tx ${approval.hash} ${approval.status === 0 ? "reverted" : "is not mined yet"}`);
+        }
       }
 
-      let attempt = 0;
-      let success = false;
-      while (attempt < retries && !success) {
-        attempt++;
-        try {
-          const nonce = await provider.getTransactionCount(sender, "pending");
+      const estimate = (chunk) => disperser.disperseToken.estimateGas(tokenAddress, chunk.map(({ to }) => to), chunk.map(({ units }) => units));
 
-          let gasLimit = estimatedGasPerTx;
+      let size = chunkSize;
+      for (let position = 0; position < pending.length; ) {
+        if (await control.checkpoint()) {
+          stoppedAt = pending[position].index;
+          break;
+        }
+
+        let attempt = 0;
+        let success = false;
+        while (attempt < retries && !success) {
+          attempt++;
           try {
-            const estimate = await contract.transfer.estimateGas(toAddress, units);
-            gasLimit = Math.max(Number(estimate) + 2000, 80000);
-            gasLimit = Math.min(gasLimit, 250000);
-          } catch (e) {
-            gasLimit = Math.min(Math.max(estimatedGasPerTx + 2000, 80000), 250000);
-          }
+            const next = await nextChunk(pending, position, size, estimate, maxChunkGas);
+            const { chunk } = next;
+            const units = chunk.reduce((sum, item) => sum + item.units, 0n);
 
-          const currentFeeData = await provider.getFeeData();
-          const currentGasPrice = currentFeeData.gasPrice || ethers.parseUnits("1", "gwei");
-
-          const txRequest = {
-            to: tokenAddress,
-            data: contract.interface.encodeFunctionData("transfer", [toAddress, units]),
-            nonce: nonce,
-            gasLimit: BigInt(gasLimit),
-            gasPrice: currentGasPrice,
-            chainId: CHAIN_ID_LINEA,
-          };
-
-          const signed = await wallet.signTransaction(txRequest);
-          const sent = await provider.broadcastTransaction(signed);
-          if (verbose) console.log(`Sent tx #${i + 1} amount=${display} tokens (units=${units.toString()}) nonce=${nonce} hash=${sent.hash}`);
-
-          const receipt = await sent.wait(1).catch((err) => {
-            if (verbose) console.warn(`Waiting for receipt for tx ${sent.hash} failed/timeout:`, err.message || err);
-            return null;
-          });
-
-          if (receipt) {
-            if (verbose) console.log(`Confirmed tx #${i + 1} in block ${receipt.blockNumber} status=${receipt.status}`);
-          } else {
-            if (verbose) console.warn(`No receipt yet for tx ${sent.hash}. Check this hash manually.`);
-          }
+            const fees = await resolveFees(provider, { fee, gasPrice });
+            const txEntry = await sendLogged(ctx, {
+              to: spender,
+              data: disperser.interface.encodeFunctionData("disperseToken", [tokenAddress, chunk.map(({ to }) => to), chunk.map((item) => item.units)]),
+              gasLimit: chunkGasLimit(next.gas),
+              ...fees,
+              chainId
+            }, {
+              type: "disperse",
+              indexes: chunk.map(({ index }) => index),
+              recipients: chunk.length,
+              amount: ethers.formatUnits(units, decimals),
+              units: units.toString()
+            });
+            success = true;
+            position += chunk.length;
+            size = adaptChunkSize(chunkSize, next, maxChunkGas);
+
+            if (onProgress) onProgress({ completed: chunk.at(-1).index, total: planned.length, transaction: txEntry });
 
-          const txEntry = { 
-            index: i + 1, 
-            amount: display, 
-            units: units.toString(), 
-            nonce, 
-            hash: sent.hash,
-            blockNumber: receipt?.blockNumber,
-            status: receipt?.status
-          };
-          
-          txLog.push(txEntry);
-          success = true;
-
-          if (onProgress) onProgress({ completed: i + 1, total: count, transaction: txEntry });
-
-          if (delay && delay > 0) await sleep(Math.round(delay * 1000));
-        } catch (err) {
-          if (attempt >= retries) {
-            throw new Error(`Max retries reached for tx #${i + 1}: ${err.message}`);
+            if (delay && delay > 0) await control.sleep(Math.round(delay * 1000));
+          } catch (err) {
+            const final = err instanceof PolicyViolation || err instanceof PendingTransactionError;
+            if (attempt >= retries || final) {
+              metrics.failed();
+              logger.error("Giving up on disperse", { txIndex: pending[position].index, attempt, error: err });
+            }
+            if (final) throw err;
+            if (attempt >= retries) {
+              throw new Error(`Max retries reached for disperse from tx #${pending[position].index}: ${err.message}`);
+            }
+            metrics.retried();
+            const backoff = Math.min(5000 * attempt, 30000);
+            logger.warn("Disperse failed, retrying", { txIndex: pending[position].index, attempt, backoffMs: backoff, error: err });
+            if (onRetry) onRetry({ index: pending[position].index, attempt, error: err.message, backoff });
+            if (await control.sleep(backoff)) break;
           }
-          const backoff = Math.min(5000 * attempt, 30000);
-          if (verbose) console.log(`Retrying in ${backoff / 1000}s...`);
-          await sleep(backoff);
+        }
+
+        if (!success && control.cancelled) {
+          stoppedAt = pending[position].index;
+          break;
         }
       }
-    }
+    } else {
+      let finished = done.size;
+
+      const stopped = await runPipeline(pending, async ({ index, display, units, to: recipient, row }, sent) => {
+        let attempt = 0;
+        while (attempt < retries) {
+          attempt++;
+          try {
+            const gasLimit = await transferGasLimit(contract, recipient, units, estimatedGasPerTx);
+
+            const fees = await resolveFees(provider, { fee, gasPrice });
+
+            const txEntry = await sendLogged(ctx, {
+              to: tokenAddress,
+              data: contract.interface.encodeFunctionData("transfer", [recipient, units]),
+              gasLimit: BigInt(gasLimit),
+              ...fees,
+              chainId,
+            }, {
+              index,
+              row,
+              to: recipient,
+              amount: display,
+              units: units.toString()
+            }, sent);
 
-    const timestamp = Math.floor(Date.now() / 1000);
-    const logPath = `${logDir}/${timestamp}.txlog.json`;
-    if (!fs.existsSync(logDir)) {
-      fs.mkdirSync(logDir, { recursive: true });
+            if (onProgress) onProgress({ completed: ++finished, total: planned.length, transaction: txEntry });
+            return true;
+          } catch (err) {
+            const final = err instanceof PolicyViolation || err instanceof PendingTransactionError;
+            if (attempt >= retries || final) {
+              metrics.failed();
+              logger.error("Giving up on transfer", { txIndex: index, attempt, error: err });
+            }
+            if (final) throw err;
+            if (attempt >= retries) {
+              throw new Error(`Max retries reached for tx #${index}: ${err.message}`);
+            }
+            metrics.retried();
+            const backoff = Math.min(5000 * attempt, 30000);
+            logger.warn("Transfer failed, retrying", { txIndex: index, attempt, backoffMs: backoff, error: err });
+            if (onRetry) onRetry({ index, attempt, error: err.message, backoff });
+            if (await control.sleep(backoff)) return false;
+          }
+        }
+      }, { inFlight, delay, control, wallet, fee, gasPrice });
+      stoppedAt = stopped ? stopped.index : null;
+
+      // Entries land in the log as they are sent, which is out of order once retries overlap
+      txLog.sort((a, b) => a.index - b.index);
     }
-    fs.writeFileSync(logPath, JSON.stringify(txLog, null, 2));
+
+    if (stoppedAt !== null) logger.info("Cancelled", { txIndex: stoppedAt });
+
+    log.status = stoppedAt !== null ? "cancelled" : "completed";
+    writeTxLog(logPath, log);
 
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
 
     const result = {
-      success: true,
+      success: stoppedAt === null,
+      cancelled: stoppedAt !== null,
+      stoppedAt,
       transactions: txLog,
       logPath,
       duration,
+      chainId: Number(chainId),
       wallet: sender,
+      recipients: validation ? recipientReport(validation) : undefined,
+      transfers: disperser ? transferResults(planned, txLog) : undefined,
       balances: {
         token: tokenBalanceFormatted,
         native: ethers.formatEther(nativeBalanceWei)
@@ -192,6 +581,11 @@ export async function executeBatchTransactions(config, callbacks = {}) {
     return result;
 
   } catch (err) {
+    if (log) {
+      log.status = "failed";
+      log.error = err.message;
+      writeTxLog(logPath, log);
+    }
     if (onError) onError(err);
     throw err;
   }
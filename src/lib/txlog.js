@@ -0,0 +1,77 @@
+import fs from "fs";
+import path from "path";
+import { logger as rootLogger } from "./logger.js";
+
+export function createTxLogPath(logDir) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return `${logDir}/${timestamp}.txlog.json`;
+}
+
+// Rewritten after every broadcast and receipt so the file always reflects what was sent
+export function writeTxLog(logPath, log) {
+  const dir = path.dirname(logPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(`${logPath}.tmp`, JSON.stringify(log, null, 2));
+  fs.renameSync(`${logPath}.tmp`, logPath);
+}
+
+export function readTxLog(logPath) {
+  if (!fs.existsSync(logPath)) {
+    throw new Error(`Tx log not found: ${logPath}`);
+  }
+
+  const log = JSON.parse(fs.readFileSync(logPath, "utf8"));
+  if (Array.isArray(log) || !Array.isArray(log.planned)) {
+    throw new Error(`Tx log ${logPath} has no planned amounts and cannot be resumed`);
+  }
+
+  return log;
+}
+
+// Log label of an entry: a single transfer, a disperse chunk or an approve
+function entryLabel(entry) {
+  if (entry.indexes) return `disperse #${entry.indexes[0]}-#${entry.indexes.at(-1)}`;
+  return entry.index != null ? `tx #${entry.index}` : entry.type;
+}
+
+// Checks every logged hash against the chain. Confirmed (or reverted) entries are kept,
+// dropped ones are removed so their planned amount gets sent again.
+export async function reconcileTxLog(provider, entries, logger = rootLogger) {
+  const kept = [];
+
+  for (const entry of entries) {
+    if (!entry.hash) continue;
+
+    // A replaced tx may have been mined, or still be pending, under any of its hashes
+    const hashes = [entry.hash, ...(entry.replaced || [])];
+    let receipt = null;
+    for (const hash of hashes) {
+      receipt = receipt || (await provider.getTransactionReceipt(hash));
+    }
+    let pending = null;
+    for (const hash of receipt ? [] : hashes) {
+      if (await provider.getTransaction(hash)) {
+        pending = hash;
+        break;
+      }
+    }
+    if (pending) {
+      logger.info(`Waiting for pending ${entryLabel(entry)}`, { hash: pending });
+      receipt = await provider.waitForTransaction(pending, 1, 120000).catch(() => null);
+      if (!receipt) {
+        throw new Error(`${entryLabel(entry)} (${pending}) is still pending; resume again once it is mined`);
+      }
+    }
+
+    if (!receipt) {
+      logger.warn(`${entryLabel(entry)} is unknown to the node, it will be sent again`, { hash: entry.hash });
+      continue;
+    }
+
+    kept.push({ ...entry, hash: receipt.hash, blockNumber: receipt.blockNumber, status: receipt.status });
+  }
+
+  return kept;
+}
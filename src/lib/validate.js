@@ -0,0 +1,191 @@
+import { ethers } from "ethers";
+
+// Declarative request schemas. A type is { schema, check }: `schema` describes it as
+// JSON Schema, `check(value, field, errors)` adds a { field, message } for every problem.
+// Missing (undefined) values are only checked by the `required` list of their object.
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const HEX_PATTERN = /^0x([0-9a-fA-F]{2})*$/;
+
+// Type from a JSON Schema fragment and a test returning an error message (or null)
+export function custom(schema, test) {
+  return {
+    schema,
+    check(value, field, errors) {
+      const message = test(value);
+      if (message) errors.push({ field, message });
+    }
+  };
+}
+
+const describeRange = (min, max) =>
+  min != null && max != null ? `between ${min} and ${max}` : min != null ? `at least ${min}` : `at most ${max}`;
+
+function checkRange(value, min, max) {
+  if ((min != null && value < min) || (max != null && value > max)) return `must be ${describeRange(min, max)}`;
+  return null;
+}
+
+export function string({ enum: values, minLength, maxLength, pattern, nullable = false } = {}) {
+  return custom(
+    { type: nullable ? ["string", "null"] : "string", enum: values, minLength, maxLength, pattern: pattern?.source },
+    (value) => {
+      if (value === null && nullable) return null;
+      if (typeof value !== "string") return "must be a string";
+      if (values && !values.includes(value)) return `must be one of ${values.join(", ")}`;
+      if (minLength != null && value.length < minLength) return minLength === 1 ? "must not be empty" : `must be at least ${minLength} characters`;
+      if (maxLength != null && value.length > maxLength) return `must be at most ${maxLength} characters`;
+      if (pattern && !pattern.test(value)) return `must match ${pattern.source}`;
+      return null;
+    }
+  );
+}
+
+export function integer({ min, max } = {}) {
+  return custom({ type: "integer", minimum: min, maximum: max }, (value) => {
+    if (!Number.isInteger(value)) return "must be an integer";
+    return checkRange(value, min, max);
+  });
+}
+
+export function number({ min, max } = {}) {
+  return custom({ type: "number", minimum: min, maximum: max }, (value) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+    return checkRange(value, min, max);
+  });
+}
+
+export function boolean() {
+  return custom({ type: "boolean" }, (value) => (typeof value === "boolean" ? null : "must be true or false"));
+}
+
+// Non-negative decimal amount such as "0.5"; amounts stay strings so no precision is lost
+export function decimal({ allowNumber = false } = {}) {
+  return custom(
+    { type: allowNumber ? ["string", "number"] : "string", pattern: DECIMAL_PATTERN.source },
+    (value) => {
+      if (allowNumber && typeof value === "number") return Number.isFinite(value) && value >= 0 ? null : "must be a non-negative number";
+      return typeof value === "string" && DECIMAL_PATTERN.test(value) ? null : 'must be a decimal string such as "0.5"';
+    }
+  );
+}
+
+// Lower-case or correctly checksummed; mixed case with a bad checksum is refused
+export function address() {
+  return custom({ type: "string", pattern: "^0x[0-9a-fA-F]{40}$" }, (value) => {
+    if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value)) return "must be an address (0x and 40 hex characters)";
+    return ethers.isAddress(value) ? null : "has an invalid checksum";
+  });
+}
+
+export function hex({ bytes } = {}) {
+  const pattern = bytes != null ? `^0x[0-9a-fA-F]{${bytes * 2}}$` : HEX_PATTERN.source;
+  return custom({ type: "string", pattern }, (value) => {
+    if (typeof value !== "string" || !HEX_PATTERN.test(value)) return "must be 0x-prefixed hex with an even number of digits";
+    if (bytes != null && value.length !== 2 + bytes * 2) return `must be ${bytes} bytes of hex`;
+    return null;
+  });
+}
+
+// Any JSON object, e.g. EIP-712 domains and values
+export function record() {
+  return custom({ type: "object" }, (value) => (value && typeof value === "object" && !Array.isArray(value) ? null : "must be an object"));
+}
+
+export function array(item, { minItems, maxItems } = {}) {
+  return {
+    schema: { type: "array", items: item?.schema, minItems, maxItems },
+    check(value, field, errors) {
+      if (!Array.isArray(value)) return errors.push({ field, message: "must be an array" });
+      if (minItems != null && value.length < minItems) return errors.push({ field, message: minItems === 1 ? "must not be empty" : `must have at least ${minItems} items` });
+      if (maxItems != null && value.length > maxItems) return errors.push({ field, message: `must have at most ${maxItems} items` });
+      if (item) value.forEach((entry, i) => item.check(entry, `${field}[${i}]`, errors));
+    }
+  };
+}
+
+// Passes when any of `types` does; otherwise reports the messages of all of them
+export function oneOf(...types) {
+  return {
+    schema: { oneOf: types.map(({ schema }) => schema) },
+    check(value, field, errors) {
+      const attempts = types.map((candidate) => {
+        const found = [];
+        candidate.check(value, field, found);
+        return found;
+      });
+      if (attempts.some((found) => found.length === 0)) return;
+      // Problems inside a candidate keep their path below `field`, e.g. "[1] must match ..."
+      const describe = (problem) => (problem.field === field ? problem.message : `${problem.field.slice(field.length)} ${problem.message}`);
+      errors.push({ field, message: attempts.map((found) => found.map(describe).join(", ")).join(", or ") });
+    }
+  };
+}
+
+// Object with the fields in `shape`. `rules(value)` returns cross-field problems as
+// { field, message } (or nothing); they run once every field is valid. Query strings
+// are matched against integer and number fields as numbers when `coerce` is set.
+export function object(shape, { required = [], rules, coerce = false, description } = {}) {
+  return {
+    schema: {
+      type: "object",
+      description,
+      properties: Object.fromEntries(Object.entries(shape).map(([key, { schema }]) => [key, schema])),
+      required: required.length > 0 ? required : undefined
+    },
+    check(value, field, errors) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return errors.push({ field: field || "body", message: "must be an object" });
+      }
+
+      const before = errors.length;
+      const path = (key) => (field ? `${field}.${key}` : key);
+
+      for (const key of required) {
+        if (value[key] === undefined || value[key] === "") errors.push({ field: path(key), message: "is required" });
+      }
+      for (const [key, fieldType] of Object.entries(shape)) {
+        let fieldValue = value[key];
+        if (fieldValue === undefined || (required.includes(key) && fieldValue === "")) continue;
+        if (coerce && typeof fieldValue === "string" && ["integer", "number"].includes(fieldType.schema.type) && fieldValue.trim() !== "") {
+          fieldValue = Number(fieldValue);
+        }
+        fieldType.check(fieldValue, path(key), errors);
+      }
+
+      if (rules && errors.length === before) {
+        for (const problem of [rules(value)].flat().filter(Boolean)) {
+          errors.push({ ...problem, field: path(problem.field) });
+        }
+      }
+    }
+  };
+}
+
+// At least one of `keys` must be present
+export function oneRequired(value, ...keys) {
+  if (keys.some((key) => value[key] !== undefined && value[key] !== "")) return null;
+  return { field: keys[0], message: `is required (or ${keys.slice(1).join(", ")})` };
+}
+
+// Express middleware checking the request's body, query and path params against their
+// schemas. Every problem is reported at once in a 400.
+export function validate({ body, query, params }) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const [location, schema, value] of [["params", params, req.params], ["query", query, req.query], ["body", body, req.body || {}]]) {
+      if (!schema) continue;
+      const found = [];
+      schema.check(value, "", found);
+      errors.push(...found.map((problem) => ({ in: location, ...problem })));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid request: ${errors.map(({ field, message }) => `${field} ${message}`).join("; ")}`,
+        errors
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ethers } from "ethers";
+import { RequestError } from "./errors.js";
+
+const CHECK_TEXT = "linea-20 vault";
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, Buffer.from(salt, "hex"), 32);
+}
+
+// AES-256-GCM; the auth tag makes a wrong secret or a tampered entry fail loudly
+function encrypt(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return { iv: iv.toString("hex"), tag: cipher.getAuthTag().toString("hex"), data: data.toString("hex") };
+}
+
+function decrypt(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "hex"));
+  decipher.setAuthTag(Buffer.from(tag, "hex"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "hex")), decipher.final()]).toString("utf8");
+}
+
+// What the API shows of a wallet: never the key
+function publicEntry({ id, address, label, createdAt }) {
+  return { id, address, label, createdAt };
+}
+
+// Private keys encrypted at rest in one JSON file, referenced by wallet ID. The file
+// key is derived from `secret` (VAULT_SECRET); a vault written with another secret is refused.
+export function createVault({ file = "data/vault.json", secret }) {
+  if (!secret) {
+    throw new Error("A vault secret is required");
+  }
+
+  let state = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  if (!state) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    state = { salt, check: encrypt(deriveKey(secret, salt), CHECK_TEXT), wallets: [] };
+  }
+
+  const key = deriveKey(secret, state.salt);
+  try {
+    decrypt(key, state.check);
+  } catch (err) {
+    throw new Error(`Vault ${file} was written with a different VAULT_SECRET`);
+  }
+
+  const write = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write to a temp file first so a crash mid-write never leaves a truncated vault
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  const find = (walletId) => {
+    const entry = state.wallets.find(({ id }) => id === walletId);
+    if (!entry) {
+      throw new RequestError(`Wallet not found: ${walletId}`, 404);
+    }
+    return entry;
+  };
+
+  return {
+    list: () => state.wallets.map(publicEntry),
+
+    get: (walletId) => publicEntry(find(walletId)),
+
+    // Stores `privateKey` under a new ID; one entry per address
+    add(privateKey, label = null) {
+      let wallet;
+      try {
+        wallet = new ethers.Wallet(privateKey);
+      } catch (err) {
+        throw new RequestError("Invalid private key");
+      }
+
+      const existing = state.wallets.find(({ address }) => address === wallet.address);
+      if (existing) {
+        throw new RequestError(`Wallet ${wallet.address} is already in the vault as ${existing.id}`, 409);
+      }
+
+      const entry = {
+        id: `wallet_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        address: wallet.address,
+        label,
+        createdAt: Date.now(),
+        key: encrypt(key, wallet.privateKey)
+      };
+      state.wallets.push(entry);
+      write();
+      return publicEntry(entry);
+    },
+
+    label(walletId, label) {
+      const entry = find(walletId);
+      entry.label = label;
+      write();
+      return publicEntry(entry);
+    },
+
+    remove(walletId) {
+      const entry = find(walletId);
+      state.wallets = state.wallets.filter((wallet) => wallet !== entry);
+      write();
+      return publicEntry(entry);
+    },
+
+    privateKey: (walletId) => decrypt(key, find(walletId).key)
+  };
+}
@@ -0,0 +1,138 @@
+import fs from "fs";
+import { ethers } from "ethers";
+import { RequestError } from "./errors.js";
+
+// Keystores are slow to decrypt on purpose (scrypt), so each file is decrypted once per process
+const decrypted = new Map(); // keystore path -> wallet
+
+function readSecret(file) {
+  return fs.readFileSync(file, "utf8").trim();
+}
+
+function accountPath(accountIndex, path) {
+  const index = Number(accountIndex);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new RequestError(`Invalid account index: ${accountIndex}`);
+  }
+  return path || ethers.getIndexedAccountPath(index);
+}
+
+async function decryptKeystore(keystore, { password, passwordFile }, prompt) {
+  if (!decrypted.has(keystore)) {
+    const secret = password || (passwordFile ? readSecret(passwordFile) : await prompt?.(`Password for ${keystore}: `));
+    if (!secret) {
+      throw new Error(`No password for keystore ${keystore}; set KEYSTORE_PASSWORD or KEYSTORE_PASSWORD_FILE`);
+    }
+    decrypted.set(keystore, await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystore, "utf8"), secret));
+  }
+  return decrypted.get(keystore);
+}
+
+// Signing wallet from the first configured source: a raw private key, an encrypted JSON
+// keystore or a BIP-39 mnemonic. Mnemonics (and keystores that hold one) derive the
+// account at `path`, or m/44'/60'/0'/0/<accountIndex>. Without a password the keystore
+// asks `prompt`, if given.
+export async function resolveWallet(source = {}, { prompt } = {}) {
+  const { privateKey, keystore, password, passwordFile, mnemonic, mnemonicFile, accountIndex, path } = source;
+
+  if (privateKey) {
+    if (accountIndex || path) {
+      throw new RequestError("An account index or HD path needs a keystore or mnemonic, not a private key");
+    }
+    try {
+      return new ethers.Wallet(privateKey);
+    } catch (err) {
+      throw new RequestError("Invalid private key");
+    }
+  }
+
+  if (keystore) {
+    const wallet = await decryptKeystore(keystore, { password, passwordFile }, prompt);
+    if (!wallet.mnemonic) {
+      if (accountIndex || path) {
+        throw new RequestError(`Keystore ${keystore} holds a single key; an account index or HD path needs a mnemonic`);
+      }
+      return wallet;
+    }
+    return ethers.HDNodeWallet.fromMnemonic(wallet.mnemonic, accountPath(accountIndex || 0, path));
+  }
+
+  const phrase = mnemonic || (mnemonicFile ? readSecret(mnemonicFile) : "");
+  if (phrase) {
+    const derivationPath = accountPath(accountIndex || 0, path);
+    try {
+      return ethers.HDNodeWallet.fromPhrase(phrase, undefined, derivationPath);
+    } catch (err) {
+      throw new RequestError(`Invalid mnemonic: ${err.shortMessage || err.message}`);
+    }
+  }
+
+  throw new Error("No wallet configured: set PRIVATE_KEY, KEYSTORE_FILE or MNEMONIC");
+}
+
+// Keystore encryption runs scrypt per wallet (about a second each), so exports are kept small
+const KEYSTORE_LIMIT = 10;
+const FORMATS = ["plain", "keystore", "vault"];
+
+// New wallets: random keys, or `count` accounts derived from `mnemonic` (true for a fresh
+// phrase) from `startIndex` on. `format` says how the keys leave: "plain" returns them,
+// "keystore" returns one encrypted JSON keystore per account (needs `password`) and
+// "vault" stores them in `vault`, returning only addresses and wallet IDs. A fresh
+// mnemonic is returned in plain format only; a provided one is never echoed.
+export async function generateWallets(options, vault) {
+  const { count = 1, mnemonic, startIndex = 0, format = "plain", password, label } = options;
+
+  if (!FORMATS.includes(format)) {
+    throw new RequestError(`Unknown format: ${format} (expected ${FORMATS.join(", ")})`);
+  }
+  if (format === "keystore" && count > KEYSTORE_LIMIT) {
+    throw new RequestError(`At most ${KEYSTORE_LIMIT} wallets can be exported as keystores at once`);
+  }
+  if (format === "keystore" && (typeof password !== "string" || password.length < 8)) {
+    throw new RequestError("A password of at least 8 characters is required for keystore export");
+  }
+  if (format === "vault" && !vault) {
+    throw new RequestError("VAULT_SECRET not configured on server", 500);
+  }
+
+  const phrase = mnemonic === true ? ethers.Mnemonic.fromEntropy(ethers.randomBytes(16)).phrase : mnemonic;
+  const accounts = [];
+  for (let i = 0; i < count; i++) {
+    if (!phrase) {
+      accounts.push({ wallet: ethers.Wallet.createRandom() });
+      continue;
+    }
+    const path = accountPath(Number(startIndex) + i);
+    accounts.push({ wallet: await resolveWallet({ mnemonic: phrase, path }), path });
+  }
+
+  if (format === "vault") {
+    const stored = new Set(vault.list().map(({ address }) => address));
+    const existing = accounts.find(({ wallet }) => stored.has(wallet.address));
+    if (existing) {
+      throw new RequestError(`Wallet ${existing.wallet.address} is already in the vault`, 409);
+    }
+  }
+
+  const wallets = [];
+  for (const [i, { wallet, path }] of accounts.entries()) {
+    const entry = { address: wallet.address, path };
+    if (format === "plain") {
+      entry.privateKey = wallet.privateKey;
+    } else if (format === "keystore") {
+      // Each keystore unlocks its own key only, never the whole mnemonic
+      entry.keystore = JSON.parse(await new ethers.Wallet(wallet.privateKey).encrypt(password));
+    } else {
+      const name = label ? (count > 1 ? `${label}-${i + 1}` : label) : null;
+      entry.walletId = vault.add(wallet.privateKey, name).id;
+    }
+    wallets.push(entry);
+  }
+
+  return {
+    count: wallets.length,
+    format,
+    mnemonic: mnemonic === true && format === "plain" ? phrase : undefined,
+    wallets
+  };
+}
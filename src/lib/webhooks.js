@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import http from "http";
+import https from "https";
+import net from "net";
+import { sleep } from "./common.js";
+import { RequestError } from "./errors.js";
+
+// Job lifecycle events POSTed to caller URLs. The body is signed with HMAC-SHA256 over
+// "<timestamp>.<body>" and sent as X-Webhook-Signature: t=<timestamp>,v1=<hex digest>,
+// so a receiver can check both where it came from and how old it is.
+
+export const WEBHOOK_EVENTS = ["job.started", "transaction.confirmed", "transaction.failed", "job.completed", "job.failed"];
+
+export function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Receiver side: true when `header` signs `body` with `secret` and is at most `tolerance` seconds old
+export function verifyWebhook(secret, header, body, tolerance = 300) {
+  const { t, v1 } = Object.fromEntries(String(header).split(",").map((part) => part.split("=")));
+  if (!t || !v1 || Math.abs(Date.now() / 1000 - Number(t)) > tolerance) return false;
+  const expected = Buffer.from(signWebhook(secret, t, body), "hex");
+  const given = Buffer.from(v1, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Loopback, private, link-local (cloud metadata), shared, benchmark, multicast and reserved
+// ranges, plus the NAT64 and 6to4 prefixes, which embed any IPv4 address
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["64:ff9b::", 96], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses are held to the IPv4 ranges
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Throws a 400 unless every address `url`'s host resolves to is public, so callers cannot
+// aim signed POSTs at services inside the network, and returns those addresses.
+// `allowedHosts` skip the check and resolve to null.
+export async function checkWebhookUrl(url, allowedHosts = []) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowedHosts.includes(host)) return null;
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(({ address }) => address);
+  } catch (err) {
+    throw new RequestError(`webhookUrl host ${host} could not be resolved`);
+  }
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) {
+    throw new RequestError(`webhookUrl host ${host} resolves to ${blocked}, a private or local address`);
+  }
+  return addresses;
+}
+
+// A dns.lookup stand-in that answers with `addresses` only, so a connection goes to an
+// address checkWebhookUrl has already seen instead of whatever the host resolves to next
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  const entries = addresses
+    .map((address) => ({ address, family: net.isIPv6(address) ? 6 : 4 }))
+    .filter(({ family }) => !options.family || family === options.family);
+  if (entries.length === 0) {
+    callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" }));
+  } else if (options.all) {
+    callback(null, entries);
+  } else {
+    callback(null, entries[0].address, entries[0].family);
+  }
+};
+
+// POSTs `body` to `url` and resolves with the status code. Redirects are not followed.
+function post(url, { headers, body, signal, lookup }) {
+  const { request } = new URL(url).protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = request(url, { method: "POST", headers: { ...headers, "content-length": Buffer.byteLength(body) }, signal, lookup }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// Timeouts, rate limits and server errors may pass; other answers will not change on retry
+const retryable = (statusCode) => statusCode == null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+// Delivers events with up to `maxAttempts` attempts each, waiting 2s, 4s, 8s, ... (at most
+// 5 minutes) in between. `timeout` is in seconds per attempt. URLs not `trusted` are checked
+// with checkWebhookUrl before every attempt, since their DNS may change after the job starts,
+// and the attempt connects to the checked addresses only.
+export function createWebhookSender({ secret, maxAttempts = 5, timeout = 10, allowedHosts = [] }) {
+  const queues = new Map(); // key -> last delivery queued under it
+
+  async function deliver(url, event, onAttempt, trusted) {
+    const body = JSON.stringify(event);
+
+    for (let attempt = 1; ; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      let statusCode = null;
+      let error = null;
+
+      let addresses = null;
+      if (!trusted) {
+        try {
+          addresses = await checkWebhookUrl(url, allowedHosts);
+        } catch (err) {
+          onAttempt({ attempt, statusCode, error: err.message, delivered: false, final: true });
+          return false;
+        }
+      }
+
+      const signal = AbortSignal.timeout(timeout * 1000);
+      try {
+        statusCode = await post(url, {
+          headers: {
+            "content-type": "application/json",
+            "user-agent": "linea-20-webhooks",
+            "x-webhook-id": event.id,
+            "x-webhook-event": event.type,
+            "x-webhook-attempt": String(attempt),
+            "x-webhook-signature": `t=${timestamp},v1=${signWebhook(secret, timestamp, body)}`
+          },
+          body,
+          signal,
+          lookup: addresses && pinnedLookup(addresses)
+        });
+        // A redirect could point anywhere, so it counts as a failed delivery
+        if (statusCode >= 200 && statusCode < 300) {
+          onAttempt({ attempt, statusCode, delivered: true, final: true });
+          return true;
+        }
+        error = `HTTP ${statusCode}`;
+      } catch (err) {
+        error = signal.aborted ? `No response within ${timeout}s` : err.message;
+      }
+
+      const final = attempt >= maxAttempts || !retryable(statusCode);
+      onAttempt({ attempt, statusCode, error, delivered: false, final });
+      if (final) return false;
+      await sleep(Math.min(2000 * 2 ** (attempt - 1), 300000));
+    }
+  }
+
+  return {
+    // Queued behind the earlier deliveries with the same `key` (one per job and URL), so a
+    // receiver gets a job's events in order. `onAttempt({ attempt, statusCode, error,
+    // delivered, final })` follows every attempt. `trusted` URLs (the operator's) are not checked.
+    send(key, url, event, onAttempt = () => {}, { trusted = false } = {}) {
+      const delivery = (queues.get(key) || Promise.resolve()).then(() => deliver(url, event, onAttempt, trusted)).catch(() => false);
+      queues.set(key, delivery);
+      delivery.finally(() => {
+        if (queues.get(key) === delivery) queues.delete(key);
+      });
+      return delivery;
+    }
+  };
+}
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderMetrics, transactionMetrics } from "../src/lib/metrics.js";
+import { rpcProvider } from "../src/lib/networks.js";
+
+test("unregistered chains and RPCs are counted as custom, without per-wallet series", async () => {
+  transactionMetrics(null).sent();
+  await rpcProvider("http://127.0.0.1:1/some-api-key").checkHealth();
+
+  const text = renderMetrics();
+  assert.match(text, /^linea20_transactions_sent_total\{network="custom"\} 1$/m);
+  assert.match(text, /^linea20_rpc_errors_total\{network="custom",method="eth_chainId",code="[^"]+"\} 1$/m);
+  assert.doesNotMatch(text, /wallet=|endpoint=|127\.0\.0\.1/);
+});
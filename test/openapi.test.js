@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOpenApi } from "../src/lib/openapi.js";
+import * as schemas from "../src/lib/schemas.js";
+
+test("getWalletInfo does not publish privateKey as a query parameter", () => {
+  const spec = buildOpenApi(
+    [{ method: "get", path: "/interact/wallet", operationId: "getWalletInfo", summary: "Get wallet info", scope: "read", query: schemas.walletInfo }],
+    { title: "test", version: "0.0.0" }
+  );
+
+  const names = spec.paths["/interact/wallet"].get.parameters.map(({ name }) => name);
+  assert.deepEqual(names.sort(), ["accountIndex", "network", "rpc", "walletId"]);
+});
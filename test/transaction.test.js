@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import { executeBatchTransactions } from "../src/lib/transaction.js";
+import { PendingTransactionError } from "../src/lib/errors.js";
+import { configureLogger } from "../src/lib/logger.js";
+
+configureLogger({ level: "silent" });
+
+const PRIVATE_KEY = "0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318";
+const TOKEN = "0xc0AAe1EdD7A76C8cf99E5bA3cA69599eD29540ea";
+const abi = ethers.AbiCoder.defaultAbiCoder();
+
+// JSON-RPC node of a chain that holds one 18-decimals token, mines nothing and goes down
+// for good once it has accepted a raw transaction
+function fakeNode() {
+  const node = { sent: [], down: false };
+  const answer = ({ method, params }) => {
+    switch (method) {
+      case "eth_chainId": return "0x1";
+      case "eth_blockNumber": return "0x10";
+      case "eth_getBalance": return ethers.toQuantity(ethers.parseEther("10"));
+      case "eth_getTransactionCount": return "0x0";
+      case "eth_estimateGas": return ethers.toQuantity(60000);
+      case "eth_call": {
+        const selector = params[0].data.slice(0, 10);
+        if (selector === ethers.id("decimals()").slice(0, 10)) return abi.encode(["uint8"], [18]);
+        return abi.encode(["uint256"], [ethers.parseEther("1000")]);
+      }
+      case "eth_sendRawTransaction":
+        node.sent.push(params[0]);
+        node.down = true;
+        return ethers.keccak256(params[0]);
+      default: return null;
+    }
+  };
+
+  node.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (node.down) {
+        res.writeHead(503).end();
+        return;
+      }
+      const request = JSON.parse(body);
+      const reply = (call) => ({ jsonrpc: "2.0", id: call.id, result: answer(call) });
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(Array.isArray(request) ? request.map(reply) : reply(request)));
+    });
+  });
+  return node;
+}
+
+test("a transfer whose node goes down after the broadcast is sent exactly once", async () => {
+  const node = fakeNode();
+  await new Promise((resolve) => node.server.listen(0, "127.0.0.1", resolve));
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "linea20-test-"));
+
+  try {
+    await assert.rejects(
+      executeBatchTransactions({
+        privateKey: PRIVATE_KEY,
+        rpc: `http://127.0.0.1:${node.server.address().port}`,
+        token: TOKEN,
+        to: "0x000000000000000000000000000000000000bEEF",
+        count: 1,
+        min: "1",
+        max: "1",
+        delay: 0,
+        retries: 3,
+        gasPrice: "1",
+        receiptTimeout: 0.2,
+        maxReplacements: 0,
+        logDir
+      }),
+      PendingTransactionError
+    );
+    assert.equal(node.sent.length, 1);
+
+    // The entry stays in the tx log, so a resume checks it instead of paying again
+    const [logFile] = fs.readdirSync(logDir);
+    const log = JSON.parse(fs.readFileSync(path.join(logDir, logFile), "utf8"));
+    assert.equal(log.transactions.length, 1);
+    assert.equal(log.transactions[0].hash, ethers.keccak256(node.sent[0]));
+  } finally {
+    node.server.close();
+    fs.rmSync(logDir, { recursive: true, force: true });
+  }
+});
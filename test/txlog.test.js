@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reconcileTxLog } from "../src/lib/txlog.js";
+import { configureLogger } from "../src/lib/logger.js";
+
+configureLogger({ level: "silent" });
+
+test("an entry whose replaced hash is still pending is waited for, not sent again", async () => {
+  const waited = [];
+  const provider = {
+    getTransactionReceipt: async () => null,
+    getTransaction: async (hash) => (hash === "0xold" ? { hash } : null),
+    waitForTransaction: async (hash) => {
+      waited.push(hash);
+      return { hash, blockNumber: 7, status: 1 };
+    }
+  };
+
+  const kept = await reconcileTxLog(provider, [{ index: 1, hash: "0xnew", replaced: ["0xold"] }]);
+
+  assert.deepEqual(waited, ["0xold"]);
+  assert.equal(kept.length, 1);
+  assert.equal(kept[0].hash, "0xold");
+  assert.equal(kept[0].status, 1);
+});
+
+test("an entry the node knows under none of its hashes is dropped", async () => {
+  const provider = { getTransactionReceipt: async () => null, getTransaction: async () => null };
+
+  assert.deepEqual(await reconcileTxLog(provider, [{ index: 1, hash: "0xnew", replaced: ["0xold"] }]), []);
+});
@@ -0,0 +1,51 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import dns from "dns";
+import http from "http";
+import { checkWebhookUrl, createWebhookSender } from "../src/lib/webhooks.js";
+
+test("NAT64 and 6to4 addresses are refused", async () => {
+  await assert.rejects(checkWebhookUrl("http://[64:ff9b::7f00:1]/hook"), /private or local/);
+  await assert.rejects(checkWebhookUrl("http://[2002:a9fe:a9fe::]/hook"), /private or local/);
+});
+
+test("a delivery connects to the checked address, not to what the host resolves to later", async (t) => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  // The check sees a public address; a second lookup at connect time would see the local server
+  mock.method(dns.promises, "lookup", async () => [{ address: "192.0.2.1", family: 4 }]);
+  mock.method(dns, "lookup", (hostname, options, callback) => (options.all ? callback(null, [{ address: "127.0.0.1", family: 4 }]) : callback(null, "127.0.0.1", 4)));
+  t.after(() => mock.restoreAll());
+
+  const attempts = [];
+  const sender = createWebhookSender({ secret: "s", maxAttempts: 1, timeout: 0.5 });
+  const delivered = await sender.send("job", `http://rebind.test:${server.address().port}/hook`, { id: "evt_1", type: "job.started" }, (attempt) => attempts.push(attempt));
+
+  assert.equal(delivered, false);
+  assert.equal(received, 0);
+  assert.equal(attempts.length, 1);
+});
+
+test("a delivery to an allowed host is signed and counts 2xx as delivered", async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    req.resume().on("end", () => res.end());
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const sender = createWebhookSender({ secret: "s", maxAttempts: 1, timeout: 2, allowedHosts: ["127.0.0.1"] });
+  const delivered = await sender.send("job", `http://127.0.0.1:${server.address().port}/hook`, { id: "evt_1", type: "job.started" });
+
+  assert.equal(delivered, true);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0]["x-webhook-id"], "evt_1");
+  assert.match(requests[0]["x-webhook-signature"], /^t=\d+,v1=[0-9a-f]{64}$/);
+});